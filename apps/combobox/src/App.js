@@ -1,27 +1,22 @@
 import { useEffect, useState } from "react";
 
-import SearchSelect from "./components/SearchSelect";
+import SearchSelect from "./SearchSelect";
+import fuzzySearch from "./fuzzyMatch";
 
 export default function App() {
   const [selectedItems, setSelectedItems] = useState([]);
 
-  const onSelectionChange = (item) => {
-    setSelectedItems((items) => {
-      return items.find((curItem) => curItem.id === item.id)
-        ? items.filter((curItem) => curItem.id !== item.id)
-        : [...items, item];
-    });
-  };
-
   useEffect(() => {
     console.info(selectedItems);
-  }, [searchInItems]);
+  }, [selectedItems]);
 
   return (
     <main className="container mx-auto">
       <SearchSelect
         remoteMethod={remoteMethod}
-        onSelectionChange={onSelectionChange}
+        multiple
+        value={selectedItems}
+        onChange={setSelectedItems}
         maxHeight="320px"
       />
     </main>
@@ -49,7 +44,9 @@ const remoteMethod = async (search, options) => {
       throw new Error("Failed to fetch data");
     }
     const users = await res.json();
-    return searchInItems(search, users);
+    return fuzzySearch(users, search, { keys: searchKeys }).map(
+      ({ item }) => item,
+    );
   } catch (e) {
     console.info("-----error in remote method---");
     console.error(e);
@@ -57,21 +54,15 @@ const remoteMethod = async (search, options) => {
   }
 };
 
-function searchInItems(search, items) {
-  return items.filter((item) => {
-    const keyword = search.toLowerCase();
-
-    const address = Object.values(item)
-      .filter((v) => typeof v == "string")
-      .join("")
-      .toLowerCase();
-
-    return (
-      item.name.toLowerCase().includes(keyword) ||
-      item.username.toLowerCase().includes(keyword) ||
-      item.website.toLowerCase().includes(keyword) ||
-      item.email.toLowerCase().includes(keyword) ||
-      address.includes(search)
-    );
-  });
-}
+// a name match ranks above one in the contact or address details
+const searchKeys = [
+  { name: "name", weight: 2 },
+  { name: "username", weight: 1.5 },
+  "email",
+  "phone",
+  "website",
+  "address.street",
+  "address.suite",
+  "address.city",
+  "address.zipcode",
+];
@@ -1,5 +1,97 @@
-import { useCallback, useState, useRef, useEffect } from "react";
-import cn from "../utils/cn";
+import {
+  useCallback,
+  useState,
+  useRef,
+  useEffect,
+  useId,
+  useLayoutEffect,
+  useMemo,
+} from "react";
+import cn from "./cn";
+import createQueryCache from "./queryCache";
+import fuzzySearch, { fuzzyMatch } from "./fuzzyMatch";
+
+const EMPTY_PAGE = { items: [], nextCursor: null, total: undefined };
+
+// remoteMethod returns either every result or one page of them
+const toPage = (result) =>
+  Array.isArray(result)
+    ? { items: result, nextCursor: null, total: undefined }
+    : {
+        items: result?.items ?? [],
+        nextCursor: result?.nextCursor ?? null,
+        total: result?.total,
+      };
+
+/**
+ * Flattens results into listbox rows: the "Create" option, a header where
+ * `groupBy` changes from one item to the next, and the options. Options
+ * carry their position among the options and the index of their header.
+ */
+const buildRows = (items, { withCreate, groupBy }) => {
+  const rows = withCreate ? [{ type: "create", position: 1 }] : [];
+  let position = rows.length;
+  let header = null;
+
+  items.forEach((item) => {
+    if (groupBy) {
+      const group = groupBy(item);
+      if (!header || header.group !== group) {
+        header = { type: "header", group, index: rows.length };
+        rows.push(header);
+      }
+    }
+    position += 1;
+    rows.push({ type: "option", item, position, header });
+  });
+
+  return rows;
+};
+
+// Next option row after `from` going by `step`, -1 when there is none
+const findOptionIndex = (rows, from, step) => {
+  for (let i = from + step; i >= 0 && i < rows.length; i += step) {
+    if (rows[i].type !== "header") return i;
+  }
+  return -1;
+};
+
+// Option row nearest to `index`, looking in the `step` direction first
+const findNearestOptionIndex = (rows, index, step) => {
+  const target = Math.min(Math.max(index, 0), rows.length - 1);
+  if (rows[target]?.type !== "header") return target;
+
+  const next = findOptionIndex(rows, target, step);
+  return next >= 0 ? next : findOptionIndex(rows, target, -step);
+};
+
+const describeResults = ({ count, total, hasMore }) => {
+  const amount = total ?? count;
+  const results = `${amount} ${amount === 1 ? "result" : "results"}`;
+  return hasMore && total == null
+    ? `${results} loaded, more available`
+    : `${results} available`;
+};
+
+const NAVIGATION_KEYS = ["ArrowDown", "ArrowUp", "PageDown", "PageUp"];
+
+// Read by screen readers but not shown, without relying on a CSS framework
+const VISUALLY_HIDDEN = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: "hidden",
+  clip: "rect(0, 0, 0, 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+const defaultGetOptionLabel = (item) => item.name;
+const defaultGetOptionKey = (item) => item.id;
+const defaultGetOptionDisabled = (item) => Boolean(item.disabled);
+const defaultGetNewOption = (term) => ({ id: term, name: term });
 
 /**
  * Custom hook for debouncing values
@@ -18,6 +110,161 @@ const useDebounce = (value, delay = 300) => {
   return debouncedValue;
 };
 
+/**
+ * Custom hook for a value the parent may control
+ * @param {any} value - Controlled value, undefined when uncontrolled
+ * @param {any} defaultValue - Initial value when uncontrolled
+ * @param {Function} onChange - Called with every new value
+ * @returns {[any, Function]} - The current value and its setter, which also
+ * takes an updater for changes made after an await
+ */
+const useControllableState = (value, defaultValue, onChange) => {
+  const [localValue, setLocalValue] = useState(defaultValue);
+  const isControlled = value !== undefined;
+  const currentValue = isControlled ? value : localValue;
+  const valueRef = useRef(currentValue);
+  valueRef.current = currentValue;
+
+  const setValue = useCallback(
+    (nextValue) => {
+      const resolved =
+        typeof nextValue === "function"
+          ? nextValue(valueRef.current)
+          : nextValue;
+      valueRef.current = resolved;
+
+      if (!isControlled) {
+        setLocalValue(resolved);
+      }
+      onChange?.(resolved);
+    },
+    [isControlled, onChange],
+  );
+
+  return [currentValue, setValue];
+};
+
+/**
+ * Custom hook for rendering only the rows of a scrolling list in view
+ * @param {Object} options
+ * @param {Object} options.ref - Ref of the scrolling element
+ * @param {boolean} options.isOpen - Whether the element is rendered
+ * @param {number} options.count - Number of rows
+ * @param {number} options.itemHeight - Fixed row height in pixels
+ * @param {number} options.overscan - Rows rendered beyond each edge
+ * @param {number|string} options.maxHeight - Fallback height where nothing is laid out
+ * @param {any} options.resetKey - Scrolls back to the top when it changes
+ * @returns {Object} - Rows to render as [start, end), onScroll, scrollToIndex
+ * and pageSize, the rows PageUp/PageDown move by
+ */
+const useVirtualList = ({
+  ref,
+  isOpen,
+  count,
+  itemHeight,
+  overscan,
+  maxHeight,
+  resetKey,
+}) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const scrollTopRef = useRef(0);
+
+  const scrollTo = useCallback(
+    (top) => {
+      scrollTopRef.current = top;
+      setScrollTop(top);
+      if (ref.current) {
+        ref.current.scrollTop = top;
+      }
+    },
+    [ref],
+  );
+
+  // clientHeight is 0 until the list is laid out; a reopened list starts
+  // at the offset the rows are rendered for
+  useLayoutEffect(() => {
+    if (isOpen && ref.current) {
+      ref.current.scrollTop = scrollTopRef.current;
+    }
+    const height =
+      (isOpen && ref.current?.clientHeight) || parseFloat(maxHeight) || 0;
+    setViewportHeight(height);
+  }, [ref, isOpen, count, maxHeight]);
+
+  // before the new query's rows are painted, and never after a scroll
+  // that comes in once they are
+  useLayoutEffect(() => {
+    scrollTo(0);
+  }, [resetKey, scrollTo]);
+
+  const isVirtual = viewportHeight > 0;
+  const start = isVirtual
+    ? Math.max(0, Math.floor(scrollTop / itemHeight) - overscan)
+    : 0;
+  const end = isVirtual
+    ? Math.min(
+        count,
+        Math.ceil((scrollTop + viewportHeight) / itemHeight) + overscan,
+      )
+    : count;
+
+  const onScroll = (event) => {
+    scrollTopRef.current = event.currentTarget.scrollTop;
+    setScrollTop(event.currentTarget.scrollTop);
+  };
+
+  // the active option has to be rendered for aria-activedescendant
+  const scrollToIndex = useCallback(
+    (index) => {
+      if (!isVirtual || index < 0) return;
+
+      const top = index * itemHeight;
+      const current = scrollTopRef.current;
+      if (top < current) {
+        scrollTo(top);
+      } else if (top + itemHeight > current + viewportHeight) {
+        scrollTo(top + itemHeight - viewportHeight);
+      }
+    },
+    [isVirtual, itemHeight, viewportHeight, scrollTo],
+  );
+
+  const pageSize =
+    maxHeight != null && isVirtual
+      ? Math.max(1, Math.floor(viewportHeight / itemHeight))
+      : 10;
+
+  return { start, end, onScroll, scrollToIndex, pageSize };
+};
+
+/**
+ * Label with the matched characters in <mark>
+ * @param {string} text - The label
+ * @param {Array<[number, number]>} ranges - Matched [start, end) ranges
+ */
+function Highlight({ text, ranges }) {
+  const pieces = [];
+  let cursor = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) {
+      pieces.push(text.slice(cursor, start));
+    }
+    pieces.push(
+      <mark key={start} className="bg-yellow-200 text-inherit">
+        {text.slice(start, end)}
+      </mark>,
+    );
+    cursor = end;
+  });
+  if (cursor < text.length) {
+    pieces.push(text.slice(cursor));
+  }
+
+  return pieces;
+}
+
 /**
  * Custom hook for managing API state and operations
  */
@@ -28,245 +275,902 @@ const useDebounce = (value, delay = 300) => {
 
 /**
  * SelectSearch Component
- * A multi-select searchable dropdown with keyboard navigation and accessibility support
+ * A searchable dropdown with keyboard navigation and accessibility support.
+ * Single-select by default, `multiple` selects several items shown as chips.
+ *
+ * `value` is an item (or null) in single mode and an array in multiple mode;
+ * leave it undefined and use `defaultValue` to let the component keep it.
+ *
+ * Results are cached per query: a cached query shows at once, and when it is
+ * older than `cacheTTL` it is fetched again in the background. `prefetch`
+ * gets the query and its results and returns queries to load ahead of time.
+ *
+ * `remoteMethod(search, { signal, cursor })` resolves with an array, or with
+ * one page `{ items, nextCursor, total? }`; a null `nextCursor` ends the list.
+ * The next page loads as the listbox scrolls near its end (with `maxHeight`)
+ * or as ArrowDown moves past the last option. Options have a fixed
+ * `itemHeight` so that only the ones in view are rendered.
+ *
+ * `creatable` adds a "Create" option for a term no result matches. It is
+ * selected at once and `onCreate(term)` resolves with the stored item, which
+ * replaces it; a rejection takes it back out. `validateNewOption(term)`
+ * returns an error message to refuse a term. `getNewOption(term)` builds the
+ * item shown meanwhile, or kept when there is no `onCreate`.
+ *
+ * Items are `{ id, name, disabled? }` unless `getOptionKey`, `getOptionLabel`
+ * and `getOptionDisabled` read them otherwise. `renderOption(item, state)`
+ * and `renderChip(item, state)` replace the content of an option and of a
+ * chip, the option's state includes the `ranges` of the label that matched.
+ * `groupBy(item)` puts neighbouring items of a group under a header;
+ * results should come sorted by group.
+ *
+ * Static `options` replace `remoteMethod`: they are ranked by a fuzzy match
+ * on `searchKeys` (paths, functions or `{ name, weight }`, the label by
+ * default) and the matched characters of each label are highlighted.
+ *
+ * The input follows the ARIA 1.2 combobox pattern, with ids unique to the
+ * instance. Typing highlights the first option that starts with the text;
+ * Alt+ArrowDown opens the listbox without moving to an option, PageUp and
+ * PageDown move by a screenful. A polite live region announces loading,
+ * the number of results and errors.
  */
 export default function SelectSearch({
+  label,
   remoteMethod,
+  options,
+  searchKeys,
+  value,
+  defaultValue,
+  onChange,
+  multiple = false,
+  maxSelections = Infinity,
   debounce = 250,
+  cacheSize = 50,
+  cacheTTL = 60000,
+  prefetch,
   placeholder = "Search...",
   maxHeight,
+  itemHeight = 36,
+  overscan = 5,
   emptyMessage = "No results found",
+  creatable = false,
+  onCreate,
+  validateNewOption,
+  getNewOption = defaultGetNewOption,
+  getOptionLabel = defaultGetOptionLabel,
+  getOptionKey = defaultGetOptionKey,
+  getOptionDisabled = defaultGetOptionDisabled,
+  renderOption,
+  renderChip,
+  groupBy,
 }) {
   const [searchTerm, setSearchTerm] = useState("");
   const [isOpen, setIsOpen] = useState(false);
-  const [selectedItem, setSelectedItem] = useState(null);
+  const [selection, setSelection] = useControllableState(
+    value,
+    defaultValue ?? (multiple ? [] : null),
+    onChange,
+  );
+
+  const selectedItems = multiple
+    ? selection ?? []
+    : selection
+      ? [selection]
+      : [];
+  const isLimitReached = multiple && selectedItems.length >= maxSelections;
+  const isSameItem = (a, b) => a === b || getOptionKey(a) === getOptionKey(b);
+  const isSelected = (item) =>
+    selectedItems.some((selected) => isSameItem(selected, item));
+  const isDisabled = (item) =>
+    getOptionDisabled(item) || (isLimitReached && !isSelected(item));
 
   const inputRef = useRef(null);
   const listboxRef = useRef(null);
 
+  const id = useId();
+  const inputId = `${id}-input`;
+  const listboxId = `${id}-listbox`;
+  const createMessageId = `${id}-create-message`;
+  const optionId = (index) => `${id}-option-${index}`;
+  const groupId = (index) => `${id}-group-${index}`;
+
   // Debounce search term
   const debouncedSearchTerm = useDebounce(searchTerm, debounce);
 
   // API state management
-  const [apiStatus, setApiStatus] = useState("idle");
+  const [fetchStatus, setApiStatus] = useState("idle");
   const [apiError, setApiError] = useState(null);
-  const [apiData, setApiData] = useState([]);
-  const abortControllerRef = useRef(null);
+  const [fetchedPage, setPage] = useState(EMPTY_PAGE);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  // the page loadMore appends to, ahead of the next render
+  const pageRef = useRef(EMPTY_PAGE);
+
+  // static options are searched on every query, nothing to fetch
+  const isLocal = options != null;
+  const localResults = useMemo(
+    () =>
+      isLocal && debouncedSearchTerm
+        ? fuzzySearch(options, debouncedSearchTerm, {
+            keys: searchKeys ?? [getOptionLabel],
+          })
+        : [],
+    [isLocal, options, debouncedSearchTerm, searchKeys, getOptionLabel],
+  );
+  const localPage = useMemo(
+    () => ({ ...EMPTY_PAGE, items: localResults.map(({ item }) => item) }),
+    [localResults],
+  );
+  const page = isLocal ? localPage : fetchedPage;
+  const apiStatus = isLocal
+    ? debouncedSearchTerm
+      ? "success"
+      : "idle"
+    : fetchStatus;
+  const apiData = page.items;
+  const hasMore = page.nextCursor != null;
+
+  // options are read once, a new cache would drop every result
+  const cacheRef = useRef(null);
+  if (!cacheRef.current) {
+    cacheRef.current = createQueryCache({ maxSize: cacheSize, ttl: cacheTTL });
+  }
+  // query or page → { keyword, promise, controller, background } in flight
+  const requestsRef = useRef(new Map());
+  const latestKeywordRef = useRef("");
+  const remoteMethodRef = useRef(remoteMethod);
+  remoteMethodRef.current = remoteMethod;
+  const prefetchRef = useRef(prefetch);
+  prefetchRef.current = prefetch;
 
   const [activeIndex, setActiveIndex] = useState(-1);
+  const [createError, setCreateError] = useState(null);
+  // typing picks the active option until the keyboard moves it
+  const typeAheadRef = useRef(false);
+
+  const keyword = debouncedSearchTerm;
+  const isNewTerm =
+    creatable &&
+    keyword !== "" &&
+    apiStatus === "success" &&
+    ![...apiData, ...selectedItems].some(
+      (item) => getOptionLabel(item).toLowerCase() === keyword.toLowerCase(),
+    );
+  const createMessage = isNewTerm ? validateNewOption?.(keyword) : null;
+  // the Create option comes first, later pages append below the results
+  const rows = buildRows(apiData, { withCreate: isNewTerm, groupBy });
+  const optionCount = rows.length ? rows[rows.length - 1].position : 0;
+  const setSize =
+    page.total != null
+      ? page.total + optionCount - apiData.length
+      : hasMore
+        ? -1
+        : optionCount;
+
+  const findTypeAheadIndex = (text) => {
+    const prefix = text.trim().toLowerCase();
+    if (!prefix || apiStatus !== "success") return -1;
+
+    return rows.findIndex(
+      (row) =>
+        row.type === "option" &&
+        !isDisabled(row.item) &&
+        getOptionLabel(row.item).toLowerCase().startsWith(prefix),
+    );
+  };
+  const typeAheadIndex = findTypeAheadIndex(searchTerm);
+
+  // fetchOptions outlives the render, these give it the current rows
+  const activeItemRef = useRef(null);
+  activeItemRef.current = rows[activeIndex]?.item ?? null;
+  const findItemRowRef = useRef(null);
+  findItemRowRef.current = (items, item) =>
+    buildRows(items, { withCreate: isNewTerm, groupBy }).findIndex(
+      (row) => row.type === "option" && isSameItem(row.item, item),
+    );
+
+  const selectItem = (item) => {
+    if (getOptionDisabled(item)) return;
+
+    if (multiple) {
+      if (isSelected(item)) {
+        setSelection(
+          selectedItems.filter((selected) => !isSameItem(selected, item)),
+        );
+      } else if (!isLimitReached) {
+        setSelection([...selectedItems, item]);
+      }
+      return;
+    }
+
+    if (isSelected(item)) {
+      setSelection(null);
+      return;
+    }
+
+    setSelection(item);
+    setIsOpen(false);
+    setSearchTerm(getOptionLabel(item));
+  };
+
+  // Adds or replaces items in the results of a query, cached or on screen
+  const updateResults = (query, update) => {
+    const withItems = (current) => {
+      const items = update(current.items);
+      return {
+        ...current,
+        items,
+        total:
+          current.total == null
+            ? current.total
+            : current.total + items.length - current.items.length,
+      };
+    };
+
+    const cached = cacheRef.current.peek(query);
+    if (cached) {
+      cacheRef.current.set(query, withItems(cached.data));
+    }
+    if (latestKeywordRef.current === query) {
+      showPage(withItems(pageRef.current));
+    }
+  };
+
+  const createItem = async (term) => {
+    if (createMessage || (multiple && isLimitReached)) return;
+
+    const pending = getNewOption(term);
+    const replace = (item) => (current) =>
+      multiple
+        ? current.flatMap((selected) =>
+            selected === pending ? (item ? [item] : []) : [selected],
+          )
+        : current === pending
+          ? item
+          : current;
 
-  const handleKeyDown = useCallback(
-    (event) => {
-      if (!isOpen) return;
+    setCreateError(null);
+    updateResults(term, (items) => [pending, ...items]);
+    selectItem(pending);
+    // free text, the new option is the item
+    if (!onCreate) return;
 
-      const optionsLength = apiData?.length ?? 0;
+    try {
+      const created = await onCreate(term);
+      updateResults(term, (items) =>
+        items.map((item) => (item === pending ? created : item)),
+      );
+      setSelection(replace(created));
+    } catch (error) {
+      updateResults(term, (items) => items.filter((item) => item !== pending));
+      setSelection(replace(null));
+      setCreateError(error);
+    }
+  };
+
+  const selectRow = (row) => {
+    if (row.type === "create") {
+      createItem(keyword);
+    } else if (row.type === "option") {
+      selectItem(row.item);
+    }
+  };
+
+  const removeItem = (item) => {
+    setSelection(
+      multiple
+        ? selectedItems.filter((selected) => !isSameItem(selected, item))
+        : null,
+    );
+    inputRef.current?.focus();
+  };
 
-      switch (event.key) {
-        case "ArrowDown":
-          event.preventDefault();
-          setActiveIndex((prev) =>
-            prev < optionsLength - 1 ? prev + 1 : prev,
+  const handleKeyDown = (event) => {
+    if (
+      event.key === "Backspace" &&
+      multiple &&
+      searchTerm === "" &&
+      selectedItems.length > 0
+    ) {
+      removeItem(selectedItems[selectedItems.length - 1]);
+      return;
+    }
+
+    if (!isOpen) {
+      // Escape on a closed listbox clears the text, and a single selection with it
+      if (event.key === "Escape" && searchTerm) {
+        event.preventDefault();
+        setSearchTerm("");
+        setCreateError(null);
+        if (!multiple && selection) {
+          setSelection(null);
+        }
+      }
+      if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        event.preventDefault();
+        setIsOpen(true);
+        // Alt+ArrowDown only opens the listbox
+        if (!event.altKey) {
+          setActiveIndex(
+            event.key === "ArrowDown"
+              ? findOptionIndex(rows, -1, 1)
+              : findOptionIndex(rows, rows.length, -1),
           );
-          break;
-        case "ArrowUp":
-          event.preventDefault();
-          setActiveIndex((prev) => (prev > 0 ? prev - 1 : prev));
-          break;
-        case "Home":
-          event.preventDefault();
-          setActiveIndex(0);
-          break;
-        case "End":
-          event.preventDefault();
-          setActiveIndex(optionsLength - 1);
-          break;
-        case "Enter":
-          event.preventDefault();
-          if (activeIndex >= 0 && apiData[activeIndex]) {
-            setSelectedItem(apiData[activeIndex]);
-            setIsOpen(false);
-            setSearchTerm(apiData[activeIndex].name);
-          }
-          break;
-        case "Escape":
-          event.preventDefault();
-          setIsOpen(false);
-          setActiveIndex(-1);
-          break;
-        case "Tab":
+        }
+      }
+      return;
+    }
+
+    if (NAVIGATION_KEYS.includes(event.key)) {
+      typeAheadRef.current = false;
+    }
+
+    switch (event.key) {
+      case "ArrowDown": {
+        event.preventDefault();
+        if (event.altKey) break;
+
+        const next = findOptionIndex(rows, activeIndex, 1);
+        if (next >= 0) {
+          setActiveIndex(next);
+        } else if (hasMore) {
+          // past the last option loaded, move on once the next page is in
+          loadMore().then((loaded) => {
+            if (!loaded) return;
+            const nextRows = buildRows(pageRef.current.items, {
+              withCreate: isNewTerm,
+              groupBy,
+            });
+            setActiveIndex((prev) => {
+              const index = findOptionIndex(nextRows, prev, 1);
+              return index >= 0 ? index : prev;
+            });
+          });
+        }
+        break;
+      }
+      case "ArrowUp": {
+        event.preventDefault();
+        // Alt+ArrowUp closes the listbox
+        if (event.altKey) {
           setIsOpen(false);
           break;
+        }
+
+        const previous = findOptionIndex(rows, activeIndex, -1);
+        if (previous >= 0) {
+          setActiveIndex(previous);
+        }
+        break;
       }
-    },
-    [apiData, isOpen, activeIndex],
-  );
+      case "PageDown":
+        event.preventDefault();
+        setActiveIndex(findNearestOptionIndex(rows, activeIndex + pageSize, 1));
+        break;
+      case "PageUp":
+        event.preventDefault();
+        setActiveIndex(
+          findNearestOptionIndex(rows, Math.max(activeIndex, 0) - pageSize, -1),
+        );
+        break;
+      case "Enter":
+        event.preventDefault();
+        if (rows[activeIndex]) {
+          selectRow(rows[activeIndex]);
+        }
+        break;
+      case "Escape":
+        event.preventDefault();
+        setIsOpen(false);
+        setActiveIndex(-1);
+        break;
+      case "Tab":
+        setIsOpen(false);
+        break;
+    }
+  };
+
+  const showPage = useCallback((nextPage) => {
+    pageRef.current = nextPage;
+    setPage(nextPage);
+  }, []);
 
   const resetApiState = useCallback(() => {
-    setApiData([]);
+    showPage(EMPTY_PAGE);
     setApiError(null);
     setApiStatus("idle");
+  }, [showPage]);
+
+  /**
+   * Calls remoteMethod once per page in flight, callers of the same page
+   * share the request. Background requests (prefetch) are never aborted.
+   */
+  const request = useCallback(
+    (keyword, { cursor = null, background = false } = {}) => {
+      const requests = requestsRef.current;
+      const key = cursor == null ? keyword : JSON.stringify([keyword, cursor]);
+      const pending = requests.get(key);
+      if (pending) {
+        pending.background = pending.background || background;
+        return pending.promise;
+      }
+
+      const controller = new AbortController();
+      const promise = Promise.resolve()
+        .then(() =>
+          remoteMethodRef.current(keyword, {
+            signal: controller.signal,
+            cursor,
+          }),
+        )
+        .then((result) => {
+          const firstPage = toPage(result);
+          // later pages are added to the cached query by loadMore
+          if (cursor == null) {
+            cacheRef.current.set(keyword, firstPage);
+          }
+          return firstPage;
+        })
+        .finally(() => {
+          if (requests.get(key)?.controller === controller) {
+            requests.delete(key);
+          }
+        });
+
+      requests.set(key, { keyword, promise, controller, background });
+      return promise;
+    },
+    [],
+  );
+
+  // A request is superseded once the user moved on to another query and
+  // nothing else waits for it; its results would never be shown
+  const abortSuperseded = useCallback((keyword) => {
+    requestsRef.current.forEach((pending, key) => {
+      if (pending.keyword !== keyword && !pending.background) {
+        pending.controller.abort();
+        requestsRef.current.delete(key);
+      }
+    });
   }, []);
 
+  const prefetchQueries = useCallback(
+    (keyword, data) => {
+      const queries = prefetchRef.current?.(keyword, data.items) ?? [];
+
+      queries.forEach((query) => {
+        const key = query.trim();
+        const cached = cacheRef.current.peek(key);
+        if (!key || key === keyword || (cached && !cached.isStale)) return;
+
+        request(key, { background: true }).catch(() => {});
+      });
+    },
+    [request],
+  );
+
   const fetchOptions = useCallback(
-    async (searchTerm, isMounted) => {
+    async (searchTerm) => {
       const keyword = searchTerm.trim();
+      latestKeywordRef.current = keyword;
+      abortSuperseded(keyword);
 
       if (!keyword) {
         resetApiState();
         return;
       }
 
-      if (abortControllerRef.current) {
-        abortControllerRef.current.abort();
-      }
-
-      setApiStatus("loading");
-      setApiError(null);
+      const cached = cacheRef.current.get(keyword);
+      if (cached) {
+        showPage(cached.data);
+        setApiError(null);
+        setApiStatus("success");
 
-      if (abortControllerRef.current) {
-        abortControllerRef.current.abort();
+        if (!cached.isStale) {
+          prefetchQueries(keyword, cached.data);
+          return;
+        }
+      } else {
+        setApiStatus("loading");
+        setApiError(null);
       }
 
-      abortControllerRef.current = new AbortController();
-
       try {
-        const data = await remoteMethod(searchTerm, {
-          signal: abortControllerRef.current.signal,
-        });
-        if (isMounted) {
-          setApiData(data);
+        const data = await request(keyword);
+        if (latestKeywordRef.current === keyword) {
+          const activeItem = activeItemRef.current;
+          showPage(data);
           setApiStatus("success");
+          // a revalidation keeps the active option while it is still
+          // listed, a new query starts over
+          setActiveIndex(
+            cached && activeItem
+              ? findItemRowRef.current(data.items, activeItem)
+              : -1,
+          );
+          prefetchQueries(keyword, data);
         }
       } catch (error) {
-        if (error.name !== "AbortError" && isMounted) {
+        // a failed revalidation keeps the cached results on screen
+        if (
+          error.name !== "AbortError" &&
+          !cached &&
+          latestKeywordRef.current === keyword
+        ) {
           setApiError(error);
           setApiStatus("error");
         }
       }
     },
-    [resetApiState],
+    [abortSuperseded, prefetchQueries, request, resetApiState, showPage],
   );
 
+  /**
+   * Appends the next page of the current query. Resolves with false when
+   * there is none, it failed, or the query changed meanwhile.
+   */
+  const loadMore = useCallback(async () => {
+    const keyword = latestKeywordRef.current;
+    const cursor = pageRef.current.nextCursor;
+    if (!keyword || cursor == null) return false;
+
+    setIsLoadingMore(true);
+    setApiError(null);
+    try {
+      const nextPage = await request(keyword, { cursor });
+      if (latestKeywordRef.current !== keyword) return false;
+
+      // callers sharing the request append it once
+      const current = pageRef.current;
+      if (current.nextCursor === cursor) {
+        const merged = {
+          items: [...current.items, ...nextPage.items],
+          nextCursor: nextPage.nextCursor,
+          total: nextPage.total ?? current.total,
+        };
+        showPage(merged);
+        cacheRef.current.set(keyword, merged);
+      }
+      return true;
+    } catch (error) {
+      if (error.name !== "AbortError" && latestKeywordRef.current === keyword) {
+        setApiError(error);
+      }
+      return false;
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [request, showPage]);
+
+  const { start, end, onScroll, scrollToIndex, pageSize } = useVirtualList({
+    ref: listboxRef,
+    isOpen,
+    count: rows.length,
+    itemHeight,
+    overscan,
+    maxHeight,
+    resetKey: debouncedSearchTerm,
+  });
+
+  // the rendered rows reached the end of what is loaded
+  const shouldLoadMore =
+    isOpen &&
+    maxHeight != null &&
+    apiStatus === "success" &&
+    hasMore &&
+    !isLoadingMore &&
+    !apiError &&
+    end >= rows.length;
+
+  useEffect(() => {
+    if (shouldLoadMore) {
+      loadMore();
+    }
+  }, [shouldLoadMore, loadMore]);
+
+  // only follow the active option when it moves, not when the user scrolls
+  // it out of view or new results come in. Run at commit, so the list is
+  // scrolled by the time the option shows as active: a passive effect
+  // still pending could undo a scroll made in between
+  const scrolledIndexRef = useRef(-1);
+  useLayoutEffect(() => {
+    if (!isOpen) {
+      scrolledIndexRef.current = -1;
+      return;
+    }
+    if (activeIndex < 0 || activeIndex === scrolledIndexRef.current) return;
+
+    scrolledIndexRef.current = activeIndex;
+    scrollToIndex(activeIndex);
+    // the page around the listbox may have to scroll as well
+    document
+      .getElementById(`${id}-option-${activeIndex}`)
+      ?.scrollIntoView?.({ block: "nearest" });
+  }, [activeIndex, id, isOpen, scrollToIndex]);
+
+  // results for the text typed came in; set at commit, with the rows
+  useLayoutEffect(() => {
+    if (typeAheadRef.current) {
+      setActiveIndex(typeAheadIndex);
+    }
+  }, [typeAheadIndex]);
+
   // Effect to fetch options when search term changes
   useEffect(() => {
-    let isMounted = true;
-    fetchOptions(debouncedSearchTerm, isMounted);
+    if (!isLocal) {
+      fetchOptions(debouncedSearchTerm);
+    }
+  }, [debouncedSearchTerm, fetchOptions, isLocal]);
+
+  // Nothing is waiting for the requests once unmounted
+  useEffect(() => {
+    const requests = requestsRef.current;
     return () => {
-      isMounted = false;
+      requests.forEach((pending) => pending.controller.abort());
+      requests.clear();
     };
-  }, [debouncedSearchTerm, fetchOptions]);
-
-  // Handle item selection
-  const toggleItem = (item) => {
-    if (selectedItem && selectedItem.id === item.id) {
-      setSelectedItem(null);
-    } else {
-      setSelectedItem(item);
-    }
-  };
+  }, []);
 
   // Handle input focus
   const onInputFocus = () => {
     setIsOpen(true);
-    if (apiData.length > 0) {
-      setActiveIndex(0);
-    }
+    setActiveIndex(findOptionIndex(rows, -1, 1));
   };
 
   const onInputChange = (e) => {
     const searchTerm = e.target.value;
     setSearchTerm(searchTerm);
     setIsOpen(true);
-    setActiveIndex(-1);
-    setSelectedItem(null);
+    typeAheadRef.current = true;
+    setActiveIndex(findTypeAheadIndex(searchTerm));
+    setCreateError(null);
+    // in single mode the text no longer names the selected item
+    if (!multiple && selection) {
+      setSelection(null);
+    }
   };
 
+  const renderRow = (row, index) => {
+    const isHighlighted = activeIndex === index;
+
+    if (row.type === "header") {
+      return (
+        <li
+          key={`header-${index}`}
+          id={groupId(index)}
+          role="presentation"
+          style={{ height: itemHeight }}
+          className="p-1 text-xs font-semibold uppercase text-gray-500"
+        >
+          {row.group}
+        </li>
+      );
+    }
+
+    if (row.type === "create") {
+      const isCreateDisabled =
+        Boolean(createMessage) || (multiple && isLimitReached);
+
+      return (
+        <li
+          key="create"
+          id={optionId(index)}
+          role="option"
+          aria-selected={false}
+          aria-disabled={isCreateDisabled || undefined}
+          aria-describedby={createMessage ? createMessageId : undefined}
+          aria-setsize={setSize}
+          aria-posinset={row.position}
+          tabIndex={-1}
+          onClick={() => selectRow(row)}
+          style={{ height: itemHeight }}
+          className={cn("p-1 border overflow-hidden italic", {
+            "ring ring-blue-500": isHighlighted,
+            "opacity-50 cursor-not-allowed": isCreateDisabled,
+          })}
+        >
+          Create "{keyword}"
+          {createMessage && (
+            <span id={createMessageId} className="ml-2 text-xs text-red-600">
+              {createMessage}
+            </span>
+          )}
+        </li>
+      );
+    }
+
+    const { item } = row;
+    const label = getOptionLabel(item);
+    const ranges = isLocal ? fuzzyMatch(label, keyword)?.ranges : undefined;
+    const isItemSelected = isSelected(item);
+    const isItemDisabled = isDisabled(item);
+
+    return (
+      <li
+        key={getOptionKey(item)}
+        id={optionId(index)}
+        role="option"
+        // the marks would split the name into pieces for screen readers
+        aria-label={ranges && !renderOption ? label : undefined}
+        aria-selected={isItemSelected}
+        aria-disabled={isItemDisabled || undefined}
+        aria-setsize={setSize}
+        aria-posinset={row.position}
+        tabIndex={-1}
+        onClick={() => selectRow(row)}
+        style={{ height: itemHeight }}
+        className={cn("p-1 border overflow-hidden", {
+          "bg-green-500 text-white": isItemSelected,
+          "ring ring-blue-500": isHighlighted,
+          "opacity-50 cursor-not-allowed": isItemDisabled,
+        })}
+      >
+        {renderOption ? (
+          renderOption(item, {
+            label,
+            selected: isItemSelected,
+            active: isHighlighted,
+            disabled: isItemDisabled,
+            ranges,
+          })
+        ) : (
+          <div className="flex items-center gap-1">
+            <span className="text-sm">{isItemSelected && "✔"}</span>
+            <span>
+              {ranges ? <Highlight text={label} ranges={ranges} /> : label}
+            </span>
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  // Rows in view, options of a group wrapped in role="group"; a group cut
+  // off at the top of the window is labelled by name, its header is gone
+  const renderVisibleRows = () => {
+    const segments = [];
+    rows.slice(start, end).forEach((row, offset) => {
+      const index = start + offset;
+      const header =
+        row.type === "header" ? row : row.type === "option" ? row.header : null;
+      const last = segments[segments.length - 1];
+
+      if (header && last?.header === header) {
+        last.entries.push([row, index]);
+      } else {
+        segments.push({ header, entries: [[row, index]] });
+      }
+    });
+
+    return segments.map(({ header, entries }) => {
+      if (!header) {
+        return entries.map(([row, index]) => renderRow(row, index));
+      }
+
+      const hasHeader = entries[0][0] === header;
+      return (
+        <li key={`group-${header.index}`} role="presentation">
+          <ul
+            role="group"
+            aria-labelledby={hasHeader ? groupId(header.index) : undefined}
+            aria-label={hasHeader ? undefined : header.group}
+          >
+            {entries.map(([row, index]) => renderRow(row, index))}
+          </ul>
+        </li>
+      );
+    });
+  };
+
+  const errorMessage = createError
+    ? createError.message || "Could not create the option"
+    : apiError
+      ? apiError.message ||
+        (apiStatus === "error"
+          ? "Error loading options"
+          : "Error loading more options")
+      : null;
+
+  // read out by the live region, the listbox rows are only for the eye
+  let announcement = "";
+  if (isOpen && apiStatus === "loading") {
+    announcement = "Loading...";
+  } else if (isOpen && errorMessage) {
+    announcement = errorMessage;
+  } else if (isOpen && isLoadingMore) {
+    announcement = "Loading more...";
+  } else if (isOpen && apiStatus === "success") {
+    announcement =
+      optionCount > 0
+        ? describeResults({
+            count: optionCount,
+            total: page.total != null ? setSize : undefined,
+            hasMore,
+          })
+        : emptyMessage;
+  }
+
   return (
     <div>
-      <div
+      {label && (
+        <label htmlFor={inputId} className="block mb-1">
+          {label}
+        </label>
+      )}
+      <input
+        ref={inputRef}
+        id={inputId}
+        type="text"
         role="combobox"
+        value={searchTerm}
+        onChange={onInputChange}
+        onFocus={onInputFocus}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        aria-autocomplete="list"
         aria-expanded={isOpen}
         aria-haspopup="listbox"
-        aria-controls="search-listbox"
-      >
-        <input
-          ref={inputRef}
-          type="text"
-          value={searchTerm}
-          onChange={onInputChange}
-          onFocus={onInputFocus}
-          onKeyDown={handleKeyDown}
-          placeholder={placeholder}
-          aria-autocomplete="list"
-          aria-activedescendant={
-            activeIndex >= 0 ? `option-${activeIndex}` : undefined
-          }
-          className="p-1 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4"
-        />
+        aria-controls={listboxId}
+        aria-activedescendant={
+          isOpen && activeIndex >= 0 ? optionId(activeIndex) : undefined
+        }
+        className="p-1 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4"
+      />
+      <div role="status" aria-live="polite" style={VISUALLY_HIDDEN}>
+        {announcement}
       </div>
-      {/* {selectedItems.length > 0 && (
+      {multiple && selectedItems.length > 0 && (
         <div role="region" aria-live="polite" className="mb-4">
-          <ul role="list" className="flex items-center  gap-1">
-            {selectedItems.map((item) => (
-              <li
-                key={item.id}
-                className="mr-1 text-xs flex items-center gap-1 border p-1"
-              >
-                {item.name}
-                <button
-                  onClick={() => toggleItem(item)}
-                  aria-label={`Remove ${item.label}`}
-                  className="mr-1"
+          <ul aria-label="Selected items" className="flex items-center gap-1">
+            {selectedItems.map((item) => {
+              const label = getOptionLabel(item);
+
+              return (
+                <li
+                  key={getOptionKey(item)}
+                  className="mr-1 text-xs flex items-center gap-1 border p-1"
                 >
-                  ✕
-                </button>
-              </li>
-            ))}
+                  {renderChip ? renderChip(item, { label }) : label}
+                  <button
+                    type="button"
+                    onClick={() => removeItem(item)}
+                    aria-label={`Remove ${label}`}
+                    className="mr-1"
+                  >
+                    ✕
+                  </button>
+                </li>
+              );
+            })}
           </ul>
         </div>
-      )} */}
+      )}
 
       {isOpen && (
         <ul
           ref={listboxRef}
           role="listbox"
-          id="search-listbox"
-          aria-multiselectable="true"
+          id={listboxId}
+          aria-multiselectable={multiple || undefined}
           style={{ maxHeight, overflow: "auto" }}
+          onScroll={onScroll}
         >
-          {apiStatus === "loading" && <li role="status">Loading...</li>}
+          {apiStatus === "loading" && <li aria-hidden="true">Loading...</li>}
 
-          {apiStatus === "error" && (
-            <li role="alert">{apiError?.message || "Error loading options"}</li>
+          {apiStatus === "success" && rows.length === 0 && (
+            <li aria-hidden="true">{emptyMessage}</li>
           )}
-          {apiStatus === "success" && apiData.length === 0 && (
-            <li role="alert">{emptyMessage}</li>
+          {apiStatus === "success" && start > 0 && (
+            <li role="presentation" style={{ height: start * itemHeight }} />
           )}
-          {apiStatus === "success" &&
-            apiData.map((item, index) => {
-              const isSelected = selectedItem?.id === item.id;
-              const isHightlighted = activeIndex === index;
-
-              return (
-                <li
-                  key={item.id}
-                  id={`option-${index}`}
-                  role="option"
-                  aria-selected={isSelected}
-                  tabIndex={-1}
-                  onClick={() => toggleItem(item)}
-                  className={cn("p-1 border my-1", {
-                    "bg-green-500 text-white": isSelected,
-                    "ring ring-blue-500": isHightlighted,
-                  })}
-                >
-                  <div className="flex items-center gap-1">
-                    <span className="text-sm">{isSelected && "✔"}</span>
-                    <span>{item.name}</span>
-                  </div>
-                </li>
-              );
-            })}
+          {apiStatus === "success" && renderVisibleRows()}
+          {apiStatus === "success" && end < rows.length && (
+            <li
+              role="presentation"
+              style={{ height: (rows.length - end) * itemHeight }}
+            />
+          )}
+          {isLoadingMore && <li aria-hidden="true">Loading more...</li>}
+          {errorMessage && <li aria-hidden="true">{errorMessage}</li>}
         </ul>
       )}
     </div>
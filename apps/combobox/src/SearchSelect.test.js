@@ -0,0 +1,759 @@
+import { useState } from 'react';
+import {
+  act,
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+  within,
+} from '@testing-library/react';
+import baseUserEvent from '@testing-library/user-event';
+import SearchSelect from './SearchSelect';
+
+// user-event 13 only flushes its events through act when it shares
+// @testing-library/dom with @testing-library/react
+const userEvent = Object.fromEntries(
+  Object.entries(baseUserEvent).map(([name, action]) => [
+    name,
+    (...args) => {
+      let result;
+      act(() => {
+        result = action(...args);
+      });
+      return result;
+    },
+  ]),
+);
+
+const USERS = [
+  { id: 1, name: 'Leanne Graham' },
+  { id: 2, name: 'Ervin Howell' },
+  { id: 3, name: 'Clementine Bauch' },
+];
+
+const remoteMethod = async (search) =>
+  USERS.filter((user) =>
+    user.name.toLowerCase().includes(search.toLowerCase()),
+  );
+
+const renderSelect = (props = {}) => {
+  render(<SearchSelect remoteMethod={remoteMethod} debounce={0} {...props} />);
+  return screen.getByPlaceholderText('Search...');
+};
+
+const search = async (input, term) => {
+  userEvent.type(input, term);
+  return screen.findAllByRole('option');
+};
+
+describe('multiple', () => {
+  test('selects several items and shows them as chips', async () => {
+    const input = renderSelect({ multiple: true });
+    await search(input, 'e');
+
+    userEvent.click(screen.getByRole('option', { name: /Leanne Graham/ }));
+    await screen.findByRole('button', { name: 'Remove Leanne Graham' });
+    userEvent.click(screen.getByRole('option', { name: /Ervin Howell/ }));
+    await screen.findByRole('button', { name: 'Remove Ervin Howell' });
+
+    expect(screen.getByRole('listbox')).toHaveAttribute(
+      'aria-multiselectable',
+      'true',
+    );
+    expect(
+      screen.getByRole('option', { name: /Leanne Graham/ }),
+    ).toHaveAttribute('aria-selected', 'true');
+
+    const chips = within(screen.getByRole('list', { name: 'Selected items' }));
+    expect(chips.getAllByRole('listitem')).toHaveLength(2);
+  });
+
+  test('removes chips with their button and Backspace', async () => {
+    const input = renderSelect({
+      multiple: true,
+      defaultValue: [USERS[0], USERS[1]],
+    });
+
+    userEvent.click(
+      screen.getByRole('button', { name: 'Remove Leanne Graham' }),
+    );
+    await waitFor(() =>
+      expect(screen.queryByText('Leanne Graham')).not.toBeInTheDocument(),
+    );
+
+    userEvent.type(input, '{backspace}');
+    await waitFor(() =>
+      expect(
+        screen.queryByRole('list', { name: 'Selected items' }),
+      ).not.toBeInTheDocument(),
+    );
+  });
+
+  test('disables the other options once maxSelections is reached', async () => {
+    const input = renderSelect({ multiple: true, maxSelections: 1 });
+    await search(input, 'e');
+
+    userEvent.click(screen.getByRole('option', { name: /Leanne Graham/ }));
+    const other = screen.getByRole('option', { name: /Ervin Howell/ });
+    await waitFor(() => expect(other).toHaveAttribute('aria-disabled', 'true'));
+
+    userEvent.click(other);
+    await waitFor(() =>
+      expect(screen.getAllByRole('button', { name: /^Remove / })).toHaveLength(
+        1,
+      ),
+    );
+    expect(other).toHaveAttribute('aria-selected', 'false');
+  });
+
+  test('reports changes and follows a controlled value', async () => {
+    const onChange = jest.fn();
+    const Controlled = () => {
+      const [value, setValue] = useState([]);
+      return (
+        <SearchSelect
+          remoteMethod={remoteMethod}
+          debounce={0}
+          multiple
+          value={value}
+          onChange={(next) => {
+            onChange(next);
+            setValue(next);
+          }}
+        />
+      );
+    };
+    render(<Controlled />);
+    await search(screen.getByPlaceholderText('Search...'), 'ervin');
+
+    userEvent.click(screen.getByRole('option', { name: /Ervin Howell/ }));
+    expect(onChange).toHaveBeenLastCalledWith([USERS[1]]);
+    expect(
+      await screen.findByRole('button', { name: 'Remove Ervin Howell' }),
+    ).toBeInTheDocument();
+  });
+});
+
+describe('single', () => {
+  test('selects one item and closes the listbox', async () => {
+    const onChange = jest.fn();
+    const input = renderSelect({ onChange });
+    await search(input, 'clem');
+
+    expect(screen.getByRole('listbox')).not.toHaveAttribute(
+      'aria-multiselectable',
+    );
+
+    userEvent.click(screen.getByRole('option', { name: /Clementine Bauch/ }));
+    expect(onChange).toHaveBeenLastCalledWith(USERS[2]);
+    await waitFor(() => expect(input).toHaveValue('Clementine Bauch'));
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+  });
+});
+
+describe('cache', () => {
+  const countingRemoteMethod = () => {
+    const calls = [];
+    const method = (search, options) => {
+      calls.push(search);
+      return remoteMethod(search, options);
+    };
+    return { calls, method };
+  };
+
+  test('serves a query seen before without calling remoteMethod', async () => {
+    const { calls, method } = countingRemoteMethod();
+    const input = renderSelect({ remoteMethod: method });
+    await search(input, 'ervin');
+
+    userEvent.clear(input);
+    await waitFor(() =>
+      expect(screen.queryByRole('option')).not.toBeInTheDocument(),
+    );
+    await search(input, 'ervin');
+
+    expect(calls.filter((term) => term === 'ervin')).toHaveLength(1);
+  });
+
+  test('shows stale results and revalidates them in the background', async () => {
+    const { calls, method } = countingRemoteMethod();
+    const input = renderSelect({ remoteMethod: method, cacheTTL: 0 });
+    await search(input, 'ervin');
+
+    userEvent.clear(input);
+    await waitFor(() =>
+      expect(screen.queryByRole('option')).not.toBeInTheDocument(),
+    );
+    userEvent.type(input, 'ervin');
+
+    await waitFor(() =>
+      expect(calls.filter((term) => term === 'ervin')).toHaveLength(2),
+    );
+    // the revalidated results land a few promises after the call
+    await act(() => new Promise((resolve) => setTimeout(resolve)));
+    expect(screen.queryByText('Loading...')).not.toBeInTheDocument();
+    expect(
+      screen.getByRole('option', { name: /Ervin Howell/ }),
+    ).toBeInTheDocument();
+  });
+
+  test('keeps the active option through a revalidation while it is listed', async () => {
+    let revalidate;
+    let calls = 0;
+    const input = renderSelect({
+      cacheTTL: 0,
+      remoteMethod: (search) => {
+        calls += 1;
+        if (calls === 1) return remoteMethod(search);
+        return new Promise((resolve) => {
+          revalidate = resolve;
+        });
+      },
+    });
+    await search(input, 'e');
+    userEvent.clear(input);
+    await waitFor(() =>
+      expect(screen.queryByRole('option')).not.toBeInTheDocument(),
+    );
+    userEvent.type(input, 'e');
+    await waitFor(() => expect(revalidate).toBeDefined());
+    // the cached options are listed and type-ahead made Ervin active
+    await waitFor(() => expect(screen.getAllByRole('option')).toHaveLength(3));
+    await waitFor(() =>
+      expect(input).toHaveAttribute(
+        'aria-activedescendant',
+        screen.getByRole('option', { name: /Ervin/ }).id,
+      ),
+    );
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    const clementine = screen.getByRole('option', { name: /Clementine/ });
+    expect(input).toHaveAttribute('aria-activedescendant', clementine.id);
+
+    revalidate([USERS[2], USERS[0]]);
+    await waitFor(() =>
+      expect(screen.getAllByRole('option')[0]).toHaveTextContent(
+        'Clementine Bauch',
+      ),
+    );
+    expect(input).toHaveAttribute(
+      'aria-activedescendant',
+      screen.getByRole('option', { name: /Clementine/ }).id,
+    );
+  });
+
+  test('prefetches the queries returned by prefetch', async () => {
+    const { calls, method } = countingRemoteMethod();
+    const input = renderSelect({
+      remoteMethod: method,
+      prefetch: (term) => (term === 'ervin' ? ['clem'] : []),
+    });
+    await search(input, 'ervin');
+    await waitFor(() => expect(calls).toContain('clem'));
+
+    userEvent.clear(input);
+    userEvent.type(input, 'clem');
+
+    expect(
+      await screen.findByRole('option', { name: /Clementine Bauch/ }),
+    ).toBeInTheDocument();
+    expect(calls.filter((term) => term === 'clem')).toHaveLength(1);
+  });
+
+  test('aborts a request only once another query replaces it', async () => {
+    const signals = {};
+    const method = (search, { signal }) => {
+      signals[search] = signal;
+      return new Promise(() => {});
+    };
+    const input = renderSelect({ remoteMethod: method, debounce: 50 });
+
+    userEvent.type(input, 'leanne');
+    await waitFor(() => expect(signals.leanne).toBeDefined());
+
+    // same query after the debounce, the request in flight is kept
+    userEvent.type(input, '{backspace}e');
+    await act(() => new Promise((resolve) => setTimeout(resolve, 100)));
+    expect(signals.leanne.aborted).toBe(false);
+
+    userEvent.clear(input);
+    userEvent.type(input, 'ervin');
+    await waitFor(() => expect(signals.ervin).toBeDefined());
+    expect(signals.leanne.aborted).toBe(true);
+  });
+});
+
+describe('virtualized paging', () => {
+  const ITEMS = Array.from({ length: 1000 }, (_, index) => ({
+    id: index,
+    name: `Item ${index}`,
+  }));
+
+  const pagedRemoteMethod = (pageSize, calls = []) => {
+    return async (search, { cursor }) => {
+      calls.push(cursor);
+      const start = cursor ?? 0;
+      const nextCursor = start + pageSize;
+      return {
+        items: ITEMS.slice(start, nextCursor),
+        nextCursor: nextCursor < ITEMS.length ? nextCursor : null,
+      };
+    };
+  };
+
+  test('renders only the options in view', async () => {
+    const input = renderSelect({
+      remoteMethod: async () => ITEMS,
+      maxHeight: 100,
+      itemHeight: 20,
+    });
+    const options = await search(input, 'item');
+
+    // 5 rows in view and 5 below
+    expect(options).toHaveLength(10);
+    expect(options[0]).toHaveAttribute('aria-posinset', '1');
+    expect(options[0]).toHaveAttribute('aria-setsize', '1000');
+    // type-ahead makes the first option active, scrolling it into view
+    expect(input).toHaveAttribute('aria-activedescendant', options[0].id);
+
+    fireEvent.scroll(screen.getByRole('listbox'), {
+      target: { scrollTop: 2000 },
+    });
+    const scrolled = screen.getAllByRole('option');
+    expect(scrolled[0]).toHaveTextContent('Item 95');
+    expect(scrolled[0]).toHaveAttribute('aria-posinset', '96');
+  });
+
+  test('loads the next page when scrolled near the end', async () => {
+    const calls = [];
+    const input = renderSelect({
+      remoteMethod: pagedRemoteMethod(20, calls),
+      maxHeight: 100,
+      itemHeight: 20,
+    });
+    const options = await search(input, 'item');
+    expect(options[0]).toHaveAttribute('aria-setsize', '-1');
+    expect(input).toHaveAttribute('aria-activedescendant', options[0].id);
+
+    fireEvent.scroll(screen.getByRole('listbox'), {
+      target: { scrollTop: 300 },
+    });
+
+    expect(
+      await screen.findByRole('option', { name: /Item 24/ }),
+    ).toHaveAttribute('aria-posinset', '25');
+    expect(calls).toEqual([null, 20]);
+  });
+
+  test('loads the next page when arrowing past the last option', async () => {
+    const input = renderSelect({ remoteMethod: pagedRemoteMethod(3) });
+    await search(input, 'item');
+
+    fireEvent.keyDown(input, { key: 'PageDown' });
+    expect(input).toHaveAttribute(
+      'aria-activedescendant',
+      screen.getByRole('option', { name: /Item 2/ }).id,
+    );
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    const next = await screen.findByRole('option', { name: /Item 3/ });
+    await waitFor(() =>
+      expect(input).toHaveAttribute('aria-activedescendant', next.id),
+    );
+    expect(next).toHaveAttribute('aria-posinset', '4');
+    expect(screen.getAllByRole('option')).toHaveLength(6);
+  });
+});
+
+describe('creatable', () => {
+  const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  };
+
+  test('offers to create a term no result matches', async () => {
+    const input = renderSelect({ creatable: true, multiple: true });
+    await search(input, 'leanne graham');
+
+    expect(
+      screen.queryByRole('option', { name: /^Create/ }),
+    ).not.toBeInTheDocument();
+
+    userEvent.clear(input);
+    userEvent.type(input, 'kurtis');
+    expect(
+      await screen.findByRole('option', { name: 'Create "kurtis"' }),
+    ).toHaveAttribute('aria-posinset', '1');
+  });
+
+  test('selects the new item at once and swaps in the created one', async () => {
+    const calls = [];
+    const creation = deferred();
+    const onChange = jest.fn();
+    const input = renderSelect({
+      creatable: true,
+      multiple: true,
+      onChange,
+      remoteMethod: (search, options) => {
+        calls.push(search);
+        return remoteMethod(search, options);
+      },
+      onCreate: () => creation.promise,
+    });
+    userEvent.type(input, 'kurtis');
+    userEvent.click(
+      await screen.findByRole('option', { name: 'Create "kurtis"' }),
+    );
+
+    expect(
+      await screen.findByRole('button', { name: 'Remove kurtis' }),
+    ).toBeInTheDocument();
+
+    creation.resolve({ id: 11, name: 'Kurtis Weissnat' });
+    expect(
+      await screen.findByRole('button', { name: 'Remove Kurtis Weissnat' }),
+    ).toBeInTheDocument();
+    expect(onChange).toHaveBeenLastCalledWith([
+      { id: 11, name: 'Kurtis Weissnat' },
+    ]);
+    expect(
+      screen.getByRole('option', { name: /Kurtis Weissnat/ }),
+    ).toHaveAttribute('aria-selected', 'true');
+    expect(calls).toEqual(['kurtis']);
+  });
+
+  test('takes the item back out when onCreate fails', async () => {
+    const input = renderSelect({
+      creatable: true,
+      multiple: true,
+      onCreate: async () => {
+        throw new Error('Tag already exists');
+      },
+    });
+    userEvent.type(input, 'kurtis');
+    userEvent.click(
+      await screen.findByRole('option', { name: 'Create "kurtis"' }),
+    );
+
+    await waitFor(() =>
+      expect(screen.getByRole('status')).toHaveTextContent(
+        'Tag already exists',
+      ),
+    );
+    expect(
+      screen.queryByRole('button', { name: 'Remove kurtis' }),
+    ).not.toBeInTheDocument();
+    expect(
+      screen.getByRole('option', { name: 'Create "kurtis"' }),
+    ).toBeInTheDocument();
+  });
+
+  test('refuses terms validateNewOption rejects', async () => {
+    let created = false;
+    const input = renderSelect({
+      creatable: true,
+      validateNewOption: (term) =>
+        term.length < 3 ? 'Use at least 3 characters' : undefined,
+      onCreate: async (term) => {
+        created = true;
+        return { id: 11, name: term };
+      },
+    });
+    userEvent.type(input, 'kk');
+
+    const option = await screen.findByRole('option', { name: /^Create "kk"/ });
+    expect(option).toHaveAttribute('aria-disabled', 'true');
+    expect(option).toHaveAccessibleDescription('Use at least 3 characters');
+
+    userEvent.click(option);
+    expect(created).toBe(false);
+    expect(input).toHaveValue('kk');
+  });
+});
+
+describe('option rendering', () => {
+  const COUNTRIES = [
+    { code: 'fr', title: 'France', region: 'Europe' },
+    { code: 'de', title: 'Germany', region: 'Europe', disabled: true },
+    { code: 'jp', title: 'Japan', region: 'Asia' },
+    { code: 'kr', title: 'Korea', region: 'Asia' },
+  ];
+  const searchCountries = async () => COUNTRIES;
+
+  test('reads labels and keys through the accessors', async () => {
+    const onChange = jest.fn();
+    const input = renderSelect({
+      remoteMethod: searchCountries,
+      multiple: true,
+      onChange,
+      getOptionLabel: (country) => country.title,
+      getOptionKey: (country) => country.code,
+      renderOption: (country, { label, selected }) => (
+        <span>
+          {label} ({country.code}){selected && ' – picked'}
+        </span>
+      ),
+      renderChip: (country, { label }) => <strong>{label}</strong>,
+    });
+    await search(input, 'a');
+
+    userEvent.click(screen.getByRole('option', { name: 'Japan (jp)' }));
+    expect(onChange).toHaveBeenLastCalledWith([COUNTRIES[2]]);
+    expect(
+      await screen.findByRole('option', { name: 'Japan (jp) – picked' }),
+    ).toHaveAttribute('aria-selected', 'true');
+
+    const chips = screen.getByRole('list', { name: 'Selected items' });
+    expect(within(chips).getByText('Japan').tagName).toBe('STRONG');
+    expect(
+      within(chips).getByRole('button', { name: 'Remove Japan' }),
+    ).toBeInTheDocument();
+  });
+
+  test('groups options under headers and skips them with the keyboard', async () => {
+    const input = renderSelect({
+      remoteMethod: searchCountries,
+      getOptionLabel: (country) => country.title,
+      getOptionKey: (country) => country.code,
+      groupBy: (country) => country.region,
+    });
+    await search(input, 'a');
+
+    const europe = screen.getByRole('group', { name: 'Europe' });
+    const asia = screen.getByRole('group', { name: 'Asia' });
+    expect(within(europe).getAllByRole('option')).toHaveLength(2);
+    expect(within(asia).getByRole('option', { name: 'Japan' })).toHaveAttribute(
+      'aria-posinset',
+      '3',
+    );
+
+    fireEvent.keyDown(input, { key: 'PageUp' });
+    expect(input).toHaveAttribute(
+      'aria-activedescendant',
+      screen.getByRole('option', { name: 'France' }).id,
+    );
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(input).toHaveAttribute(
+      'aria-activedescendant',
+      screen.getByRole('option', { name: 'Japan' }).id,
+    );
+    fireEvent.keyDown(input, { key: 'ArrowUp' });
+    expect(input).toHaveAttribute(
+      'aria-activedescendant',
+      screen.getByRole('option', { name: 'Germany' }).id,
+    );
+  });
+
+  test('does not select disabled options', async () => {
+    const onChange = jest.fn();
+    const input = renderSelect({
+      remoteMethod: searchCountries,
+      onChange,
+      getOptionLabel: (country) => country.title,
+      getOptionKey: (country) => country.code,
+    });
+    await search(input, 'a');
+
+    const germany = screen.getByRole('option', { name: 'Germany' });
+    expect(germany).toHaveAttribute('aria-disabled', 'true');
+
+    userEvent.click(germany);
+    fireEvent.keyDown(input, { key: 'PageUp' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onChange).not.toHaveBeenCalled();
+    expect(germany).toHaveAttribute('aria-selected', 'false');
+  });
+});
+
+describe('static options', () => {
+  test('ranks the options and highlights the matched characters', async () => {
+    const input = renderSelect({
+      remoteMethod: undefined,
+      options: USERS,
+    });
+    userEvent.type(input, 'ham');
+
+    const options = await screen.findAllByRole('option');
+    expect(options).toHaveLength(1);
+    expect(options[0]).toHaveAccessibleName('Leanne Graham');
+    expect(
+      within(options[0])
+        .getAllByText((_, element) => element.tagName === 'MARK')
+        .map((mark) => mark.textContent),
+    ).toEqual(['ham']);
+  });
+
+  test('searches the weighted keys', async () => {
+    const people = [
+      { id: 1, name: 'Bret', city: 'Gwenborough' },
+      { id: 2, name: 'Antonette Gwen', city: 'Wisokyburgh' },
+    ];
+    const input = renderSelect({
+      remoteMethod: undefined,
+      options: people,
+      searchKeys: [{ name: 'name', weight: 2 }, 'city'],
+    });
+    userEvent.type(input, 'gwen');
+
+    const options = await screen.findAllByRole('option');
+    expect(options.map((option) => option.textContent)).toEqual([
+      'Antonette Gwen',
+      'Bret',
+    ]);
+    // matched on the city, nothing to highlight in the label
+    expect(within(options[1]).queryByText('Bret').tagName).toBe('SPAN');
+  });
+});
+
+describe('accessibility', () => {
+  beforeEach(() => {
+    // jsdom doesn't lay anything out
+    Element.prototype.scrollIntoView = jest.fn();
+  });
+
+  test('gives every instance its own ids', async () => {
+    render(
+      <>
+        <SearchSelect label="Owner" remoteMethod={remoteMethod} debounce={0} />
+        <SearchSelect
+          label="Reviewer"
+          remoteMethod={remoteMethod}
+          debounce={0}
+        />
+      </>,
+    );
+    const owner = screen.getByRole('combobox', { name: 'Owner' });
+    const reviewer = screen.getByRole('combobox', { name: 'Reviewer' });
+    expect(owner.tagName).toBe('INPUT');
+    expect(owner.id).not.toBe(reviewer.id);
+
+    await search(owner, 'e');
+    const listbox = screen.getByRole('listbox');
+    expect(owner).toHaveAttribute('aria-controls', listbox.id);
+    expect(reviewer.getAttribute('aria-controls')).not.toBe(listbox.id);
+    within(listbox)
+      .getAllByRole('option')
+      .forEach((option) => expect(option.id).toMatch(listbox.id.split('-')[0]));
+  });
+
+  test('opens from the keyboard, with Alt+ArrowDown leaving nothing active', async () => {
+    const input = renderSelect();
+    await search(input, 'e');
+    fireEvent.keyDown(input, { key: 'Escape' });
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+
+    fireEvent.keyDown(input, { key: 'ArrowDown', altKey: true });
+    expect(input).toHaveAttribute('aria-expanded', 'true');
+    expect(input).not.toHaveAttribute('aria-activedescendant');
+
+    fireEvent.keyDown(input, { key: 'ArrowUp', altKey: true });
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(input).toHaveAttribute(
+      'aria-activedescendant',
+      screen.getByRole('option', { name: 'Leanne Graham' }).id,
+    );
+  });
+
+  test('leaves Home and End to the text field, Escape closes then clears', async () => {
+    const input = renderSelect();
+    await search(input, 'e');
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    const active = input.getAttribute('aria-activedescendant');
+
+    // not prevented, so the caret moves
+    expect(fireEvent.keyDown(input, { key: 'End' })).toBe(true);
+    expect(fireEvent.keyDown(input, { key: 'Home' })).toBe(true);
+    expect(input).toHaveAttribute('aria-activedescendant', active);
+
+    fireEvent.keyDown(input, { key: 'Escape' });
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+    expect(input).toHaveValue('e');
+
+    fireEvent.keyDown(input, { key: 'Escape' });
+    expect(input).toHaveValue('');
+  });
+
+  test('keeps the status region visually hidden', async () => {
+    renderSelect();
+
+    expect(screen.getByRole('status')).toHaveStyle({
+      position: 'absolute',
+      width: '1px',
+      overflow: 'hidden',
+    });
+  });
+
+  test('moves a page at a time and scrolls the active option into view', async () => {
+    const input = renderSelect({ maxHeight: 72, itemHeight: 36 });
+    await search(input, 'e');
+    fireEvent.keyDown(input, { key: 'PageUp' });
+
+    fireEvent.keyDown(input, { key: 'PageDown' });
+    const third = screen.getByRole('option', { name: 'Clementine Bauch' });
+    expect(input).toHaveAttribute('aria-activedescendant', third.id);
+    expect(Element.prototype.scrollIntoView).toHaveBeenLastCalledWith({
+      block: 'nearest',
+    });
+    expect(Element.prototype.scrollIntoView.mock.instances.at(-1)).toBe(third);
+
+    fireEvent.keyDown(input, { key: 'PageUp' });
+    expect(input).toHaveAttribute(
+      'aria-activedescendant',
+      screen.getByRole('option', { name: 'Leanne Graham' }).id,
+    );
+  });
+
+  test('makes the first option starting with the text typed active', async () => {
+    const input = renderSelect();
+    userEvent.type(input, 'erv');
+
+    const option = await screen.findByRole('option', { name: 'Ervin Howell' });
+    await waitFor(() =>
+      expect(input).toHaveAttribute('aria-activedescendant', option.id),
+    );
+  });
+
+  test('announces loading and the number of results', async () => {
+    let resolve;
+    const input = renderSelect({
+      remoteMethod: () =>
+        new Promise((settle) => {
+          resolve = settle;
+        }),
+    });
+    userEvent.type(input, 'e');
+    await waitFor(() =>
+      expect(screen.getByRole('status')).toHaveTextContent('Loading...'),
+    );
+
+    resolve(USERS);
+    await waitFor(() =>
+      expect(screen.getByRole('status')).toHaveTextContent(
+        '3 results available',
+      ),
+    );
+  });
+
+  test('announces errors', async () => {
+    const input = renderSelect({
+      remoteMethod: async () => {
+        throw new Error('Network down');
+      },
+    });
+    userEvent.type(input, 'e');
+
+    await waitFor(() =>
+      expect(screen.getByRole('status')).toHaveTextContent(/Network down/),
+    );
+  });
+});
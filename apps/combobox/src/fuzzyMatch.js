@@ -0,0 +1,138 @@
+const isWordStart = (text, index) =>
+  index === 0 || /[\s\-_.,@/()]/.test(text[index - 1]);
+
+// [2, 3, 4, 7] → [[2, 5], [7, 8]]
+const toRanges = (positions) =>
+  positions.reduce((ranges, position) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === position) {
+      last[1] = position + 1;
+    } else {
+      ranges.push([position, position + 1]);
+    }
+    return ranges;
+  }, []);
+
+const getPath = (item, path) =>
+  path.split(".").reduce((value, key) => value?.[key], item);
+
+// "name", (item) => item.name, or { name, weight } with either
+const toField = (key) => {
+  const { name, weight = 1 } =
+    typeof key === "object" ? key : { name: key, weight: 1 };
+
+  return {
+    name,
+    weight,
+    get: typeof name === "function" ? name : (item) => getPath(item, name),
+  };
+};
+
+/**
+ * Matches a query in a text, ignoring case
+ *
+ * The query as a substring scores 0.6 to 1: the whole text, then a prefix,
+ * then a word start, then anywhere. Otherwise its characters in order with
+ * gaps score below 0.6, higher the tighter they are and the more of them
+ * start a word.
+ *
+ * @param {string} text - Text to search in
+ * @param {string} query - What the user typed
+ * @returns {{score: number, ranges: Array<[number, number]>}|null} - The
+ * score and the matched [start, end) ranges of `text`, null for no match
+ */
+export function fuzzyMatch(text, query) {
+  const source = String(text ?? "").toLowerCase();
+  const pattern = query.trim().toLowerCase();
+  if (!pattern || !source) return null;
+
+  const index = source.indexOf(pattern);
+  if (index >= 0) {
+    const score =
+      source === pattern
+        ? 1
+        : index === 0
+          ? 0.9
+          : isWordStart(source, index)
+            ? 0.8
+            : 0.7 - Math.min(index, 20) / 200;
+    return { score, ranges: [[index, index + pattern.length]] };
+  }
+
+  // the tightest run of the query's characters, from any first character
+  let best = null;
+  for (
+    let start = source.indexOf(pattern[0]);
+    start >= 0;
+    start = source.indexOf(pattern[0], start + 1)
+  ) {
+    const positions = [start];
+    for (let i = 1; i < pattern.length; i += 1) {
+      const position = source.indexOf(pattern[i], positions[i - 1] + 1);
+      if (position < 0) break;
+      positions.push(position);
+    }
+    // a later start can't complete the match either
+    if (positions.length < pattern.length) break;
+
+    const span = positions[positions.length - 1] - start + 1;
+    if (!best || span < best.span) {
+      best = { span, positions };
+    }
+  }
+  if (!best) return null;
+
+  const wordStarts = best.positions.filter((position) =>
+    isWordStart(source, position),
+  ).length;
+
+  return {
+    score:
+      0.5 * (pattern.length / best.span) + 0.09 * (wordStarts / pattern.length),
+    ranges: toRanges(best.positions),
+  };
+}
+
+/**
+ * Ranks items by their best weighted key, best first and in their original
+ * order on a tie
+ *
+ * @param {Array} items - Items to search
+ * @param {string} query - What the user typed
+ * @param {Object} options
+ * @param {Array} options.keys - Paths like "address.city", functions of the
+ * item, or `{ name, weight }` with either; weights default to 1
+ * @param {number} options.threshold - Lowest score a key needs to match
+ * @returns {Array<{item: any, score: number, matches: Array}>} - `matches`
+ * has `{ key, value, ranges }` for every key that matched
+ */
+export default function fuzzySearch(
+  items,
+  query,
+  { keys = ["name"], threshold = 0.2 } = {},
+) {
+  const fields = keys.map(toField);
+  const results = [];
+
+  items.forEach((item, index) => {
+    let score = 0;
+    const matches = [];
+
+    fields.forEach(({ name, weight, get }) => {
+      const value = get(item);
+      const match = value == null ? null : fuzzyMatch(value, query);
+      if (!match || match.score < threshold) return;
+
+      matches.push({ key: name, value: String(value), ranges: match.ranges });
+      score = Math.max(score, match.score * weight);
+    });
+
+    if (matches.length > 0) {
+      results.push({ item, score, matches, index });
+    }
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item, score, matches }) => ({ item, score, matches }));
+}
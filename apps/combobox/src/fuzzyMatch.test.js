@@ -0,0 +1,91 @@
+import fuzzySearch, { fuzzyMatch } from './fuzzyMatch';
+
+describe('fuzzyMatch', () => {
+  test('ranks a whole text, a prefix, a word start, then anywhere', () => {
+    const scores = ['graham', 'grahamson', 'leanne graham', 'leannegraham'].map(
+      (text) => fuzzyMatch(text, 'Graham').score,
+    );
+
+    expect([...scores].sort((a, b) => b - a)).toEqual(scores);
+    expect(fuzzyMatch('Leanne Graham', 'graham').ranges).toEqual([[7, 13]]);
+  });
+
+  test('matches characters in order with gaps below any substring', () => {
+    const match = fuzzyMatch('Leanne Graham', 'lgra');
+
+    expect(match.ranges).toEqual([
+      [0, 1],
+      [7, 10],
+    ]);
+    expect(match.score).toBeLessThan(fuzzyMatch('Leanne Graham', 'anne').score);
+  });
+
+  test('picks the tightest run of characters', () => {
+    expect(fuzzyMatch('a--b-a-b', 'ab').ranges).toEqual([
+      [5, 6],
+      [7, 8],
+    ]);
+  });
+
+  test('returns null without a match', () => {
+    expect(fuzzyMatch('Leanne', 'xyz')).toBeNull();
+    expect(fuzzyMatch('Leanne', '  ')).toBeNull();
+    expect(fuzzyMatch(undefined, 'a')).toBeNull();
+  });
+});
+
+describe('fuzzySearch', () => {
+  const USERS = [
+    {
+      name: 'Ervin Howell',
+      email: 'shanna@melissa.tv',
+      address: { city: 'Wisokyburgh' },
+    },
+    {
+      name: 'Clementine Bauch',
+      email: 'nathan@yesenia.net',
+      address: { city: 'McKenziehaven' },
+    },
+    {
+      name: 'Mrs. Dennis Schulist',
+      email: 'karley@jasper.info',
+      address: { city: 'South Elvis' },
+    },
+  ];
+
+  test('orders by the best weighted key and reports the matches', () => {
+    const results = fuzzySearch(USERS, 'elvis', {
+      keys: [{ name: 'name', weight: 2 }, 'address.city'],
+    });
+
+    expect(results.map(({ item }) => item.name)).toEqual([
+      'Mrs. Dennis Schulist',
+    ]);
+    expect(results[0].matches).toEqual([
+      { key: 'address.city', value: 'South Elvis', ranges: [[6, 11]] },
+    ]);
+  });
+
+  test('lets the weight decide between keys', () => {
+    const people = [
+      { name: 'Shanna Smith', email: 'smith@april.biz' },
+      { name: 'Bret', email: 'shanna@melissa.tv' },
+    ];
+    const rank = (nameWeight, emailWeight) =>
+      fuzzySearch(people, 'shanna', {
+        keys: [
+          { name: 'name', weight: nameWeight },
+          { name: (person) => person.email, weight: emailWeight },
+        ],
+      }).map(({ item }) => item.name);
+
+    expect(rank(2, 1)).toEqual(['Shanna Smith', 'Bret']);
+    expect(rank(1, 2)).toEqual(['Bret', 'Shanna Smith']);
+  });
+
+  test('keeps the original order on a tie', () => {
+    const items = [{ name: 'b a' }, { name: 'c a' }, { name: 'd a' }];
+
+    expect(fuzzySearch(items, 'a').map(({ item }) => item)).toEqual(items);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * LRU cache of search query → results
+ *
+ * Entries older than `ttl` are still returned, flagged `isStale`, so they can
+ * be shown while a fresh copy loads. Once there are more than `maxSize`
+ * entries the least recently used one is dropped.
+ *
+ * @param {Object} options
+ * @param {number} options.maxSize - Number of queries to keep
+ * @param {number} options.ttl - Milliseconds before an entry is stale
+ */
+export default function createQueryCache({ maxSize = 50, ttl = 60000 } = {}) {
+  const entries = new Map();
+
+  const read = (key, touch) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (touch) {
+      // Map keeps insertion order, the last key is the most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+    }
+
+    return { data: entry.data, isStale: Date.now() - entry.updatedAt >= ttl };
+  };
+
+  return {
+    get: (key) => read(key, true),
+    // same as get, without counting as a use
+    peek: (key) => read(key, false),
+    set(key, data) {
+      entries.delete(key);
+      entries.set(key, { data, updatedAt: Date.now() });
+
+      while (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    clear() {
+      entries.clear();
+    },
+  };
+}
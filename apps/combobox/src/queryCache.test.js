@@ -0,0 +1,36 @@
+import createQueryCache from './queryCache';
+
+test('drops the least recently used query past maxSize', () => {
+  const cache = createQueryCache({ maxSize: 2 });
+  cache.set('a', [1]);
+  cache.set('b', [2]);
+  cache.get('a');
+  cache.set('c', [3]);
+
+  expect(cache.get('a')).toEqual({ data: [1], isStale: false });
+  expect(cache.get('b')).toBeUndefined();
+  expect(cache.get('c')).toEqual({ data: [3], isStale: false });
+});
+
+test('peek does not count as a use', () => {
+  const cache = createQueryCache({ maxSize: 2 });
+  cache.set('a', [1]);
+  cache.set('b', [2]);
+  cache.peek('a');
+  cache.set('c', [3]);
+
+  expect(cache.peek('a')).toBeUndefined();
+});
+
+test('flags entries older than the ttl as stale', () => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+  const cache = createQueryCache({ ttl: 500 });
+  cache.set('a', [1]);
+
+  now.mockReturnValue(1499);
+  expect(cache.get('a').isStale).toBe(false);
+  now.mockReturnValue(1500);
+  expect(cache.get('a')).toEqual({ data: [1], isStale: true });
+
+  now.mockRestore();
+});
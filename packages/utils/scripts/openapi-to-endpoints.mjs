@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+// openapi-to-endpoints.mjs
+//
+// Generates an endpoint registry for ApiClient.ts from a local OpenAPI 3
+// document, JSON or YAML (read with the `yaml` package).
+//
+//   node scripts/openapi-to-endpoints.mjs openapi.yaml src/api/endpoints.ts
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+const API_CLIENT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../src/ApiClient"
+);
+
+const loadSpec = async (file) => {
+  const source = await readFile(file, "utf8");
+  if (!/\.ya?ml$/i.test(file)) return JSON.parse(source);
+
+  try {
+    const { parse } = await import("yaml");
+    return parse(source);
+  } catch (error) {
+    throw new Error(
+      `Reading ${file} needs the "yaml" package: ${error.message}`
+    );
+  }
+};
+
+const isIdentifier = (name) => /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name);
+
+const propertyKey = (name) =>
+  isIdentifier(name) ? name : JSON.stringify(name);
+
+const toTypeName = (name) =>
+  name
+    .replace(/[^A-Za-z0-9]+(.)?/g, (_, char = "") => char.toUpperCase())
+    .replace(/^[a-z]/, (char) => char.toUpperCase())
+    .replace(/^(\d)/, "_$1");
+
+// getUser stays as is, "GET /users/{id}/posts" becomes getUsersIdPosts
+const toOperationName = (operation, method, route) => {
+  const source = operation.operationId || `${method} ${route}`;
+  const name = toTypeName(source);
+  return name.charAt(0).toLowerCase() + name.slice(1);
+};
+
+const refName = (ref) => toTypeName(ref.split("/").pop());
+
+/**
+ * Turns a schema object into a TypeScript type expression. Anything the
+ * generator can't express comes out as `unknown` rather than failing.
+ */
+const toType = (schema, indent = "") => {
+  if (!schema) return "unknown";
+  if (schema.$ref) return refName(schema.$ref);
+
+  const nullable = (type) =>
+    schema.nullable && type !== "unknown" ? `${type} | null` : type;
+
+  if (schema.enum) {
+    return nullable(
+      schema.enum.map((value) => JSON.stringify(value)).join(" | ")
+    );
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return nullable(
+      (schema.oneOf || schema.anyOf)
+        .map((item) => toType(item, indent))
+        .join(" | ")
+    );
+  }
+  if (schema.allOf) {
+    return nullable(
+      schema.allOf.map((item) => toType(item, indent)).join(" & ")
+    );
+  }
+
+  // OpenAPI 3.1 writes nullable as type: ["string", "null"]
+  if (Array.isArray(schema.type)) {
+    return schema.type
+      .map((type) =>
+        type === "null" ? "null" : toType({ ...schema, type }, indent)
+      )
+      .join(" | ");
+  }
+
+  switch (schema.type) {
+    case "string":
+      return nullable(schema.format === "binary" ? "Blob" : "string");
+    case "integer":
+    case "number":
+      return nullable("number");
+    case "boolean":
+      return nullable("boolean");
+    case "array":
+      return nullable(`Array<${toType(schema.items, indent)}>`);
+    case "object":
+    case undefined:
+      if (!schema.properties && schema.type === undefined) return "unknown";
+      return nullable(toObjectType(schema, indent));
+    default:
+      return "unknown";
+  }
+};
+
+const toObjectType = (schema, indent) => {
+  const required = new Set(schema.required || []);
+  const inner = `${indent}  `;
+  const lines = Object.entries(schema.properties || {}).map(
+    ([name, property]) =>
+      `${inner}${propertyKey(name)}${required.has(name) ? "" : "?"}: ${toType(property, inner)};`
+  );
+
+  if (schema.additionalProperties) {
+    const valueType =
+      schema.additionalProperties === true
+        ? "unknown"
+        : toType(schema.additionalProperties, inner);
+    if (lines.length === 0) return `Record<string, ${valueType}>`;
+    lines.push(`${inner}[key: string]: ${valueType};`);
+  }
+
+  if (lines.length) return `{\n${lines.join("\n")}\n${indent}}`;
+  // no properties listed means any, unless additionalProperties rules them out
+  return schema.additionalProperties === false
+    ? "Record<string, never>"
+    : "Record<string, unknown>";
+};
+
+const resolve = (spec, item) => {
+  if (!item?.$ref) return item;
+  return item.$ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => node?.[key], spec);
+};
+
+const JSON_TYPE = /^application\/(.+\+)?json/;
+
+const pickContent = (content = {}) => {
+  const type =
+    Object.keys(content).find((key) => JSON_TYPE.test(key)) ||
+    Object.keys(content)[0];
+  return type ? { type, schema: content[type].schema } : undefined;
+};
+
+const toBodyType = (spec, requestBody) => {
+  const body = resolve(spec, requestBody);
+  const content = pickContent(body?.content);
+  if (!content) return undefined;
+
+  const type = content.type.startsWith("multipart/")
+    ? "FormData"
+    : toType(content.schema, "  ");
+  return { type, required: Boolean(body.required) };
+};
+
+// The first 2xx response; a response without content is `null`
+const toResponseType = (responses = {}, spec) => {
+  const status = Object.keys(responses)
+    .filter((code) => /^2/.test(code))
+    .sort()[0];
+  if (!status) return "unknown";
+
+  const content = pickContent(resolve(spec, responses[status]).content);
+  if (!content) return "null";
+  return JSON_TYPE.test(content.type) ? toType(content.schema, "  ") : "string";
+};
+
+const toParamsType = (parameters, location) => {
+  const matching = parameters.filter((param) => param.in === location);
+  if (matching.length === 0) return undefined;
+
+  const lines = matching.map(
+    (param) =>
+      `    ${propertyKey(param.name)}${param.required ? "" : "?"}: ${toType(param.schema, "    ")};`
+  );
+  return {
+    type: `{\n${lines.join("\n")}\n  }`,
+    required: matching.some((param) => param.required),
+  };
+};
+
+// An operation parameter overrides the path-level one with its name and `in`
+const mergeParameters = (spec, pathItem, operation) => {
+  const parameters = new Map();
+  [...(pathItem.parameters || []), ...(operation.parameters || [])]
+    .map((param) => resolve(spec, param))
+    .forEach((param) => parameters.set(`${param.in}:${param.name}`, param));
+  return [...parameters.values()];
+};
+
+const toEndpoint = (spec, route, method, pathItem) => {
+  const operation = pathItem[method];
+  const parameters = mergeParameters(spec, pathItem, operation);
+
+  const fields = [];
+  const addField = (name, field) => {
+    if (field)
+      fields.push(`  ${name}${field.required ? "" : "?"}: ${field.type};`);
+  };
+
+  addField("params", toParamsType(parameters, "path"));
+  addField("query", toParamsType(parameters, "query"));
+  addField("body", toBodyType(spec, operation.requestBody));
+  fields.push(`  response: ${toResponseType(operation.responses, spec)};`);
+
+  const name = toOperationName(operation, method, route);
+  const comment = operation.summary ? `// ${operation.summary}\n` : "";
+  const registryPath = route.replace(/\{([^}]+)\}/g, ":$1");
+
+  return `${comment}${name}: endpoint<{\n${fields.join("\n")}\n}>("${method.toUpperCase()}", "${registryPath}"),`;
+};
+
+export const generateEndpoints = (
+  spec,
+  { importPath = "./ApiClient" } = {}
+) => {
+  if (!/^3\./.test(spec.openapi || "")) {
+    throw new Error(
+      `Expected an OpenAPI 3 document, got ${spec.openapi || spec.swagger || "unknown"}`
+    );
+  }
+
+  const schemas = Object.entries(spec.components?.schemas || {}).map(
+    ([name, schema]) => `export type ${toTypeName(name)} = ${toType(schema)};`
+  );
+
+  const endpoints = Object.entries(spec.paths || {}).flatMap(
+    ([route, pathItem]) =>
+      METHODS.filter((method) => pathItem[method]).map((method) =>
+        toEndpoint(spec, route, method, pathItem)
+      )
+  );
+
+  const indented = endpoints
+    .join("\n")
+    .split("\n")
+    .map((line) => `  ${line}`)
+    .join("\n");
+
+  return [
+    `// Generated from ${spec.info?.title || "an OpenAPI document"} by openapi-to-endpoints.mjs, do not edit`,
+    `import { endpoint } from "${importPath}";`,
+    "",
+    ...schemas.flatMap((schema) => [schema, ""]),
+    `export const endpoints = {\n${indented}\n};`,
+    "",
+  ].join("\n");
+};
+
+const main = async ([input, output]) => {
+  if (!input || !output) {
+    console.error(
+      "Usage: openapi-to-endpoints.mjs <openapi.json|yaml> <out.ts>"
+    );
+    process.exit(1);
+  }
+
+  let importPath = path
+    .relative(path.dirname(path.resolve(output)), API_CLIENT)
+    .split(path.sep)
+    .join("/");
+  if (!importPath.startsWith(".")) importPath = `./${importPath}`;
+
+  const spec = await loadSpec(input);
+  await writeFile(output, generateEndpoints(spec, { importPath }));
+  console.log(`Wrote ${output}`);
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
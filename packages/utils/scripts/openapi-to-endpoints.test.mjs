@@ -0,0 +1,115 @@
+import { describe, expect, test } from "vitest";
+import { generateEndpoints } from "./openapi-to-endpoints.mjs";
+
+const spec = {
+  openapi: "3.0.3",
+  info: { title: "Users" },
+  paths: {
+    "/users/{id}": {
+      get: {
+        operationId: "getUser",
+        summary: "One user",
+        parameters: [
+          {
+            name: "id",
+            in: "path",
+            required: true,
+            schema: { type: "integer" },
+          },
+        ],
+        responses: {
+          200: {
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/User" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      User: {
+        type: "object",
+        required: ["id"],
+        properties: {
+          id: { type: "integer" },
+          email: { type: "string", nullable: true },
+        },
+      },
+    },
+  },
+};
+
+describe("generateEndpoints", () => {
+  test("writes the schemas and one endpoint per operation", () => {
+    const source = generateEndpoints(spec, { importPath: "../src/ApiClient" });
+
+    expect(source).toContain('import { endpoint } from "../src/ApiClient";');
+    expect(source).toContain(
+      "export type User = {\n  id: number;\n  email?: string | null;\n};"
+    );
+    expect(source).toContain(
+      [
+        "  // One user",
+        "  getUser: endpoint<{",
+        "    params: {",
+        "      id: number;",
+        "    };",
+        "    response: User;",
+        '  }>("GET", "/users/:id"),',
+      ].join("\n")
+    );
+  });
+
+  test("lets operation params override path ones, keeps arrays and open objects", () => {
+    const source = generateEndpoints({
+      openapi: "3.1.0",
+      paths: {
+        "/users": {
+          parameters: [
+            { name: "limit", in: "query", schema: { type: "string" } },
+            { name: "role", in: "query", schema: { type: "string" } },
+          ],
+          get: {
+            operationId: "listUsers",
+            parameters: [
+              { name: "limit", in: "query", schema: { type: "integer" } },
+              {
+                name: "tag",
+                in: "query",
+                schema: { type: "array", items: { type: "string" } },
+              },
+            ],
+            responses: {
+              200: {
+                content: {
+                  "application/json": { schema: { type: "object" } },
+                },
+              },
+            },
+          },
+        },
+      },
+    });
+
+    expect(source).toContain(
+      [
+        "    query?: {",
+        "      limit?: number;",
+        "      role?: string;",
+        "      tag?: Array<string>;",
+        "    };",
+        "    response: Record<string, unknown>;",
+      ].join("\n")
+    );
+  });
+
+  test("refuses anything but OpenAPI 3", () => {
+    expect(() => generateEndpoints({ swagger: "2.0" })).toThrow(
+      "Expected an OpenAPI 3 document, got 2.0"
+    );
+  });
+});
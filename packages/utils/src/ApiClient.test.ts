@@ -0,0 +1,74 @@
+import { describe, expect, test } from "vitest";
+import { buildPath, createApiClient, endpoint } from "./ApiClient";
+import { createMockClient } from "./MockClient";
+
+interface User {
+  id: number;
+  name: string;
+}
+
+const endpoints = {
+  getUser: endpoint<{ params: { id: number }; response: User }>(
+    "GET",
+    "/users/:id"
+  ),
+  searchUsers: endpoint<{
+    query?: { q?: string; role?: Array<"admin" | "member"> };
+    response: User[];
+  }>("GET", "/users"),
+  createUser: endpoint<{ body: Omit<User, "id">; response: User }>(
+    "POST",
+    "/users"
+  ),
+};
+
+describe("createApiClient", () => {
+  test("fills path params and the query string", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("GET", "/users/:id", ({ params }) => ({
+      body: { id: Number(params.id), name: "Leanne" },
+    }));
+    mock.on("GET", "/users", ({ query }) => ({
+      body: [{ id: 1, name: query.get("q") }],
+    }));
+    const api = createApiClient(client, endpoints);
+
+    const user = await api.getUser({ params: { id: 1 } });
+    const found = await api.searchUsers({ query: { q: "Lea" } });
+
+    expect(user.data).toEqual({ id: 1, name: "Leanne" });
+    expect(found.data).toEqual([{ id: 1, name: "Lea" }]);
+  });
+
+  test("repeats the key of an array query param", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("GET", "/users", { body: [] });
+    const api = createApiClient(client, endpoints);
+
+    await api.searchUsers({ query: { role: ["admin", "member"] } });
+
+    expect(mock.requests[0]?.query.getAll("role")).toEqual(["admin", "member"]);
+  });
+
+  test("sends the body as JSON", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("POST", "/users", ({ body }) => ({
+      status: 201,
+      body: { id: 2, ...JSON.parse(String(body)) },
+    }));
+    const api = createApiClient(client, endpoints);
+
+    const created = await api.createUser({ body: { name: "Ervin" } });
+
+    expect(created.data).toEqual({ id: 2, name: "Ervin" });
+  });
+});
+
+describe("buildPath", () => {
+  test("encodes params and refuses a missing one", () => {
+    expect(buildPath("/files/:name", { name: "a b" })).toBe("/files/a%20b");
+    expect(() => buildPath("/users/:id")).toThrow(
+      'Missing path param "id" for /users/:id'
+    );
+  });
+});
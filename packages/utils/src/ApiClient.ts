@@ -0,0 +1,131 @@
+// ApiClient.ts
+import type HttpClient from "./HttpClient";
+import type {
+  HttpResponse,
+  QueryParamValue,
+  QueryParams,
+  RequestOptions,
+} from "./HttpClient";
+
+export type HttpMethod = "GET" | "POST" | "PUT" | "PATCH" | "DELETE";
+
+// The shape of one endpoint; only `response` is required
+export interface EndpointTypes {
+  params?: Record<string, string | number>; // fills `:name` segments of the path
+  query?: Record<string, QueryParamValue | QueryParamValue[] | undefined>; // arrays repeat the key
+  body?: unknown;
+  response?: unknown;
+}
+
+export interface Endpoint<E extends EndpointTypes = EndpointTypes> {
+  method: HttpMethod;
+  path: string;
+  readonly types?: E; // never set, carries E for inference
+}
+
+export type EndpointRegistry = Record<string, Endpoint<any>>;
+
+export type EndpointOptions<T = any> = Omit<
+  RequestOptions<T>,
+  "method" | "body"
+>;
+
+// Required in the call when the endpoint declares it as required, absent when it doesn't declare it
+type Arg<E, K extends string> = K extends keyof E
+  ? {} extends Pick<E, K>
+    ? { [P in K]?: E[K] }
+    : { [P in K]: E[K] }
+  : { [P in K]?: never };
+
+export type EndpointArgs<E> = Arg<E, "params"> &
+  Arg<E, "query"> &
+  Arg<E, "body">;
+
+export type EndpointResponse<E> = E extends { response: infer R } ? R : unknown;
+
+export type EndpointCall<E> = (
+  ...args: {} extends EndpointArgs<E>
+    ? [args?: EndpointArgs<E>, options?: EndpointOptions<EndpointResponse<E>>]
+    : [args: EndpointArgs<E>, options?: EndpointOptions<EndpointResponse<E>>]
+) => Promise<HttpResponse<EndpointResponse<E>>>;
+
+export type ApiClient<R extends EndpointRegistry> = {
+  [K in keyof R]: R[K] extends Endpoint<infer E> ? EndpointCall<E> : never;
+};
+
+/**
+ * Declares one endpoint. The type argument is the whole contract, so a
+ * renamed field or param fails to compile at every call site.
+ *
+ *   const endpoints = {
+ *     getUser: endpoint<{ params: { id: number }; response: User }>("GET", "/users/:id"),
+ *     searchUsers: endpoint<{ query: { q: string }; response: User[] }>("GET", "/users"),
+ *   };
+ */
+export const endpoint = <E extends EndpointTypes>(
+  method: HttpMethod,
+  path: string
+): Endpoint<E> => ({ method, path });
+
+export const buildPath = (
+  path: string,
+  params: Record<string, string | number> = {}
+): string =>
+  path.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (_, name: string) => {
+    if (params[name] === undefined) {
+      throw new Error(`Missing path param "${name}" for ${path}`);
+    }
+    return encodeURIComponent(String(params[name]));
+  });
+
+const toParams = (query: EndpointTypes["query"] = {}): QueryParams => {
+  const params: QueryParams = {};
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined) params[key] = value;
+  });
+  return params;
+};
+
+/**
+ * Builds one method per registry entry on top of an HttpClient, so
+ * interceptors, retries, caching and the rest still apply.
+ *
+ *   const api = createApiClient(client, endpoints);
+ *   const { data } = await api.getUser({ params: { id: 1 } }); // data: User
+ */
+export const createApiClient = <R extends EndpointRegistry>(
+  client: HttpClient,
+  endpoints: R
+): ApiClient<R> => {
+  const api: Record<string, unknown> = {};
+
+  Object.entries(endpoints).forEach(([name, { method, path }]) => {
+    api[name] = (
+      args: EndpointArgs<EndpointTypes> = {},
+      options: EndpointOptions = {}
+    ) => {
+      const url = buildPath(path, args.params);
+      const requestOptions = {
+        ...options,
+        params: { ...options.params, ...toParams(args.query) },
+      };
+
+      switch (method) {
+        case "GET":
+          return client.get(url, requestOptions);
+        case "POST":
+          return client.post(url, args.body, requestOptions);
+        case "PUT":
+          return client.put(url, args.body, requestOptions);
+        case "PATCH":
+          return client.patch(url, args.body, requestOptions);
+        case "DELETE":
+          return client.delete(url, requestOptions);
+        default:
+          throw new Error(`Unsupported method ${method} for ${name}`);
+      }
+    };
+  });
+
+  return api as ApiClient<R>;
+};
@@ -0,0 +1,52 @@
+import { afterEach, describe, expect, test, vi } from "vitest";
+import CircuitBreaker from "./CircuitBreaker";
+import { CircuitOpenError, HttpError, NetworkError } from "./HttpClient";
+
+const ORIGIN = "https://api.example.com";
+
+describe("CircuitBreaker", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test("opens after consecutive failures and fails fast", () => {
+    vi.useFakeTimers();
+    const breaker = new CircuitBreaker({
+      failureThreshold: 2,
+      resetTimeout: 1000,
+    });
+
+    breaker.acquire(ORIGIN)(new NetworkError("down"));
+    breaker.acquire(ORIGIN)(new NetworkError("down"));
+
+    expect(breaker.getState(ORIGIN)).toBe("open");
+    expect(() => breaker.acquire(ORIGIN)).toThrow(CircuitOpenError);
+    expect(breaker.getState("https://other.example.com")).toBe("closed");
+  });
+
+  test("ignores errors the backend isn't to blame for", () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+
+    breaker.acquire(ORIGIN)(new HttpError("not found", { status: 404 }));
+
+    expect(breaker.getState(ORIGIN)).toBe("closed");
+  });
+
+  test("lets one trial through when half-open", () => {
+    vi.useFakeTimers();
+    const breaker = new CircuitBreaker({
+      failureThreshold: 1,
+      resetTimeout: 1000,
+    });
+    breaker.acquire(ORIGIN)(new NetworkError("down"));
+
+    vi.advanceTimersByTime(1000);
+    const report = breaker.acquire(ORIGIN);
+
+    expect(breaker.getState(ORIGIN)).toBe("half-open");
+    expect(() => breaker.acquire(ORIGIN)).toThrow(CircuitOpenError);
+
+    report(new NetworkError("still down"));
+    expect(breaker.getState(ORIGIN)).toBe("open");
+  });
+});
@@ -0,0 +1,170 @@
+// CircuitBreaker.ts
+import {
+  CircuitOpenError,
+  HttpError,
+  NetworkError,
+  TimeoutError,
+} from "./HttpClient";
+
+export type CircuitState = "closed" | "open" | "half-open";
+
+export interface CircuitBreakerConfig {
+  failureThreshold?: number; // consecutive failures that open the circuit, defaults to 5
+  resetTimeout?: number; // ms the circuit stays open before a trial request, defaults to 30000
+  halfOpenRequests?: number; // trial requests allowed at once while half-open, defaults to 1
+  isFailure?: (error: unknown) => boolean;
+}
+
+export interface CircuitStateChange {
+  origin: string;
+  from: CircuitState;
+  to: CircuitState;
+}
+
+export type CircuitListener = (change: CircuitStateChange) => void;
+
+interface Circuit {
+  state: CircuitState;
+  failures: number;
+  openedAt: number;
+  trials: number;
+}
+
+// A backend that is down or overloaded, not a request the backend rejected
+const isServiceFailure = (error: unknown): boolean =>
+  error instanceof NetworkError ||
+  error instanceof TimeoutError ||
+  (error instanceof HttpError && error.status >= 500);
+
+/**
+ * Tracks failures per origin. After `failureThreshold` failures in a row
+ * the circuit opens and requests fail at once with CircuitOpenError; after
+ * `resetTimeout` a few trial requests go through (half-open), and the
+ * first outcome closes or re-opens it. One breaker can serve many clients.
+ *
+ *   const breaker = new CircuitBreaker({ failureThreshold: 3 });
+ *   breaker.subscribe(({ origin, to }) => setDegraded(to !== "closed"));
+ *   const client = new HttpClient({ circuitBreaker: breaker });
+ */
+class CircuitBreaker {
+  private failureThreshold: number;
+  private resetTimeout: number;
+  private halfOpenRequests: number;
+  private isFailure: (error: unknown) => boolean;
+  private circuits: Map<string, Circuit>;
+  private listeners: Set<CircuitListener>;
+
+  constructor(config: CircuitBreakerConfig = {}) {
+    this.failureThreshold = config.failureThreshold || 5;
+    this.resetTimeout = config.resetTimeout ?? 30000;
+    this.halfOpenRequests = config.halfOpenRequests || 1;
+    this.isFailure = config.isFailure || isServiceFailure;
+    this.circuits = new Map();
+    this.listeners = new Set();
+  }
+
+  public getState(origin: string): CircuitState {
+    return this.getCircuit(origin).state;
+  }
+
+  public subscribe(listener: CircuitListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  public reset(origin?: string): void {
+    const origins = origin ? [origin] : [...this.circuits.keys()];
+    origins.forEach((key) => {
+      const circuit = this.circuits.get(key);
+      if (circuit) {
+        circuit.failures = 0;
+        circuit.trials = 0;
+        this.transition(key, circuit, "closed");
+      }
+    });
+  }
+
+  /**
+   * Lets a request through or throws CircuitOpenError. The returned
+   * function reports the outcome: no argument for a success, the error
+   * otherwise. Errors that aren't failures (a cancel, a 404) only free the
+   * trial slot.
+   */
+  public acquire(origin: string): (error?: unknown) => void {
+    const circuit = this.getCircuit(origin);
+
+    if (
+      circuit.state === "open" ||
+      (circuit.state === "half-open" && circuit.trials >= this.halfOpenRequests)
+    ) {
+      throw new CircuitOpenError(`Circuit open for ${origin}`, {
+        origin,
+        retryAt: circuit.openedAt + this.resetTimeout,
+      });
+    }
+
+    const isTrial = circuit.state === "half-open";
+    if (isTrial) circuit.trials += 1;
+
+    let reported = false;
+    return (error?: unknown) => {
+      if (reported) return;
+      reported = true;
+      if (isTrial) circuit.trials -= 1;
+
+      if (error === undefined) {
+        this.onSuccess(origin, circuit);
+      } else if (this.isFailure(error)) {
+        this.onFailure(origin, circuit);
+      }
+    };
+  }
+
+  private onSuccess(origin: string, circuit: Circuit): void {
+    circuit.failures = 0;
+    this.transition(origin, circuit, "closed");
+  }
+
+  private onFailure(origin: string, circuit: Circuit): void {
+    circuit.failures += 1;
+
+    if (
+      circuit.state === "half-open" ||
+      circuit.failures >= this.failureThreshold
+    ) {
+      circuit.openedAt = Date.now();
+      this.transition(origin, circuit, "open");
+    }
+  }
+
+  // Open circuits turn half-open lazily, the next time somebody asks
+  private getCircuit(origin: string): Circuit {
+    let circuit = this.circuits.get(origin);
+
+    if (!circuit) {
+      circuit = { state: "closed", failures: 0, openedAt: 0, trials: 0 };
+      this.circuits.set(origin, circuit);
+    }
+
+    if (
+      circuit.state === "open" &&
+      Date.now() - circuit.openedAt >= this.resetTimeout
+    ) {
+      this.transition(origin, circuit, "half-open");
+    }
+
+    return circuit;
+  }
+
+  private transition(origin: string, circuit: Circuit, to: CircuitState) {
+    const from = circuit.state;
+    if (from === to) return;
+
+    circuit.state = to;
+    this.listeners.forEach((listener) => listener({ origin, from, to }));
+  }
+}
+
+export default CircuitBreaker;
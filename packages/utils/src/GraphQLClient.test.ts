@@ -0,0 +1,176 @@
+import { afterEach, describe, expect, test, vi } from "vitest";
+import GraphQLClient, { getOperationType } from "./GraphQLClient";
+import { GraphQLError } from "./HttpClient";
+import { createMockClient } from "./MockClient";
+import type { MockRequest } from "./MockTransport";
+import OfflineQueue, { createMemoryStorage } from "./OfflineQueue";
+
+const USER_QUERY = "query GetUser($id: ID!) { user(id: $id) { name } }";
+
+const payloadOf = (request: MockRequest | undefined) =>
+  JSON.parse(String(request?.body));
+
+describe("GraphQLClient", () => {
+  test("resolves with data", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("POST", "/graphql", { body: { data: { user: { name: "Bret" } } } });
+
+    const data = await new GraphQLClient(client).request(USER_QUERY, {
+      id: 1,
+    });
+
+    expect(data).toEqual({ user: { name: "Bret" } });
+    expect(payloadOf(mock.requests[0])).toEqual({
+      query: USER_QUERY,
+      variables: { id: 1 },
+    });
+  });
+
+  test("rejects errors[] as GraphQLError, keeping the partial data", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("POST", "/graphql", {
+      body: {
+        data: { user: null },
+        errors: [{ message: "Not allowed", extensions: { code: "FORBIDDEN" } }],
+      },
+    });
+
+    const error = await new GraphQLClient(client)
+      .request(USER_QUERY, { id: 1 })
+      .catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(GraphQLError);
+    expect(error).toMatchObject({
+      message: "Not allowed",
+      code: "FORBIDDEN",
+      data: { user: null },
+    });
+  });
+
+  test("sends the query text once the server misses the persisted hash", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("POST", "/graphql", ({ body }) =>
+      JSON.parse(String(body)).query
+        ? { body: { data: { user: { name: "Bret" } } } }
+        : { body: { errors: [{ message: "PersistedQueryNotFound" }] } }
+    );
+
+    const data = await new GraphQLClient(client, {
+      persistedQueries: true,
+    }).request(USER_QUERY, { id: 1 });
+
+    const [hashOnly, withQuery] = mock.requests.map(payloadOf);
+    expect(data).toEqual({ user: { name: "Bret" } });
+    expect(hashOnly.query).toBeUndefined();
+    expect(hashOnly.extensions.persistedQuery.sha256Hash).toMatch(
+      /^[\da-f]{64}$/
+    );
+    expect(withQuery).toMatchObject({
+      query: USER_QUERY,
+      extensions: hashOnly.extensions,
+    });
+  });
+
+  test("batches the operations of a tick into one call", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("POST", "/graphql", ({ body }) => ({
+      body: JSON.parse(String(body)).map(
+        ({ variables }: { variables: { id: number } }) =>
+          variables.id === 2
+            ? { errors: [{ message: "Not found" }] }
+            : { data: { user: { name: `User ${variables.id}` } } }
+      ),
+    }));
+    const graphql = new GraphQLClient(client, { batch: true });
+
+    const results = await Promise.allSettled([
+      graphql.request(USER_QUERY, { id: 1 }),
+      graphql.request(USER_QUERY, { id: 2 }),
+    ]);
+
+    expect(mock.requests).toHaveLength(1);
+    expect(results[0]).toEqual({
+      status: "fulfilled",
+      value: { user: { name: "User 1" } },
+    });
+    expect(results[1]).toMatchObject({
+      status: "rejected",
+      reason: { message: "Not found" },
+    });
+  });
+
+  test("doesn't retry a mutation that follows a fragment", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("POST", "/graphql", { status: 503 });
+
+    await new GraphQLClient(client)
+      .request(
+        "fragment F on User { id }\nmutation Save { save { ...F } }",
+        {},
+        {
+          retry: { count: 2, delay: 1 },
+        }
+      )
+      .catch(() => {});
+
+    expect(mock.requests).toHaveLength(1);
+  });
+
+  describe("with an offline queue", () => {
+    const queue = new OfflineQueue({
+      storage: createMemoryStorage(),
+      retryInterval: 60000,
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      queue.destroy();
+    });
+
+    test("queues mutations but not queries, batched or not", async () => {
+      const { mock, client } = createMockClient({ offlineQueue: queue });
+      const batching = new GraphQLClient(client, { batch: true });
+      vi.stubGlobal("navigator", { onLine: false });
+      mock.on("POST", "/graphql", { error: "network" });
+
+      const [query, batch, mutation] = await Promise.allSettled([
+        new GraphQLClient(client).request(USER_QUERY, { id: 1 }),
+        Promise.all([
+          batching.request(USER_QUERY, { id: 1 }),
+          batching.request(USER_QUERY, { id: 2 }),
+        ]),
+        new GraphQLClient(client).request("mutation { logout }"),
+      ]);
+
+      expect(query).toMatchObject({ reason: { name: "NetworkError" } });
+      expect(batch).toMatchObject({ reason: { name: "NetworkError" } });
+      expect(mutation).toMatchObject({ reason: { name: "QueuedError" } });
+      expect(queue.getState().entries).toHaveLength(1);
+    });
+  });
+});
+
+describe("getOperationType", () => {
+  test("reads the operation, the named one in a document with several", () => {
+    const document = "query A { a } mutation B { b }";
+
+    expect(getOperationType("{ user { id } }")).toBe("query");
+    expect(getOperationType(document, "B")).toBe("mutation");
+    expect(getOperationType("# note\nsubscription { ping }")).toBe(
+      "subscription"
+    );
+  });
+
+  test("skips fragments, strings and comments to the first operation", () => {
+    const document = [
+      "fragment F on User { id }",
+      "# query Fake { a }",
+      'mutation Save($input: Input = { note: "query {" }) {',
+      "  save(input: $input) { ...F }",
+      "}",
+    ].join("\n");
+
+    expect(getOperationType(document)).toBe("mutation");
+    expect(getOperationType("fragment F on User { id }")).toBe("mutation");
+  });
+});
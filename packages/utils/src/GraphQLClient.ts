@@ -0,0 +1,387 @@
+// GraphQLClient.ts
+import { GraphQLError, HttpError, ParseError } from "./HttpClient";
+import type HttpClient from "./HttpClient";
+import type { GraphQLErrorItem, RequestOptions } from "./HttpClient";
+
+export interface GraphQLClientConfig {
+  endpoint?: string; // defaults to "/graphql", resolved against the client baseURL
+  persistedQueries?: boolean; // send a sha256 hash first (APQ), the query text only when asked
+  batch?: boolean | GraphQLBatchConfig; // one HTTP call for the operations of a tick
+}
+
+export interface GraphQLBatchConfig {
+  maxSize?: number; // operations per call, defaults to 10
+  wait?: number; // ms to collect operations, defaults to 0 (the current tick)
+}
+
+export interface GraphQLOptions
+  extends Omit<RequestOptions, "method" | "body" | "validate"> {
+  operationName?: string;
+}
+
+export interface GraphQLResult<T> {
+  data?: T | null;
+  errors?: GraphQLErrorItem[];
+}
+
+type Variables = Record<string, unknown>;
+
+interface GraphQLPayload {
+  query?: string;
+  variables?: Variables;
+  operationName?: string;
+  extensions?: { persistedQuery: { version: 1; sha256Hash: string } };
+}
+
+interface BatchedOperation {
+  payload: GraphQLPayload;
+  signal?: AbortSignal;
+  resolve: (data: unknown) => void;
+  reject: (error: unknown) => void;
+}
+
+const PERSISTED_QUERY_NOT_FOUND = "PersistedQueryNotFound";
+const PERSISTED_QUERY_NOT_SUPPORTED = "PersistedQueryNotSupported";
+
+const sha256 = async (text: string): Promise<string> => {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+};
+
+type OperationType = "query" | "mutation" | "subscription";
+
+const OPERATION_TYPES = ["query", "mutation", "subscription"];
+
+// strings and comments, their braces and words aren't part of the document's structure
+const IGNORED_TEXT = /"""[\s\S]*?"""|"(?:\\.|[^"\\\n])*"|#[^\n]*/g;
+
+/**
+ * The type of the first operation in the document, or of the one named
+ * `operationName`. Fragment definitions are skipped, `{ ... }` shorthand
+ * is a query. A document we can't read is taken for a mutation, so it is
+ * neither retried nor kept out of the offline queue by mistake.
+ */
+export const getOperationType = (
+  query: string,
+  operationName?: string
+): OperationType => {
+  const source = query.replace(IGNORED_TEXT, " ");
+  const operations: Array<{ type: string; name?: string }> = [];
+  let depth = 0;
+  let parens = 0;
+  // the words of the top-level definition being read, e.g. ["query", "GetUser"]
+  let words: string[] = [];
+
+  for (const [token] of source.matchAll(/[{}()]|[_A-Za-z][_0-9A-Za-z]*/g)) {
+    if (token === "(") {
+      parens += 1;
+    } else if (token === ")") {
+      parens -= 1;
+    } else if (parens > 0) {
+      continue;
+    } else if (token === "{") {
+      if (depth === 0) {
+        operations.push({ type: words[0] ?? "query", name: words[1] });
+      }
+      depth += 1;
+    } else if (token === "}") {
+      depth -= 1;
+      if (depth === 0) words = [];
+    } else if (depth === 0) {
+      words.push(token);
+    }
+  }
+
+  const operation = operations.find(
+    ({ type, name }) =>
+      OPERATION_TYPES.includes(type) &&
+      (!operationName || name === operationName)
+  );
+  return (operation?.type as OperationType | undefined) ?? "mutation";
+};
+
+const hasErrorCode = (error: GraphQLError, code: string): boolean =>
+  error.errors.some(
+    (item) => item.message === code || item.extensions?.code === code
+  );
+
+// Turns a GraphQL response body into its data, or throws GraphQLError
+const toData = <T>(body: unknown): T => {
+  const result = body as GraphQLResult<T> | null;
+
+  if (!result || typeof result !== "object" || Array.isArray(result)) {
+    throw new ParseError("Expected a GraphQL response object", {
+      data: body,
+    });
+  }
+
+  if (result.errors?.length) {
+    throw new GraphQLError(result.errors[0]?.message || "GraphQL error", {
+      errors: result.errors,
+      data: result.data,
+    });
+  }
+
+  return result.data as T;
+};
+
+// Servers often send errors[] with a 4xx, keep it as a GraphQLError with the status
+const normalizeError = (error: unknown): unknown => {
+  if (!(error instanceof HttpError)) return error;
+
+  const errors = (error.data as GraphQLResult<unknown> | null)?.errors;
+  if (!Array.isArray(errors) || errors.length === 0) return error;
+
+  return new GraphQLError(errors[0]?.message || error.message, {
+    errors,
+    status: error.status,
+    data: error.data?.data,
+    headers: error.headers,
+    config: error.config,
+    cause: error,
+  });
+};
+
+const raceSignal = <T>(promise: Promise<T>, signal?: AbortSignal) => {
+  if (!signal) return promise;
+
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () =>
+      reject(
+        signal.reason ??
+          new DOMException("The operation was aborted.", "AbortError")
+      );
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+};
+
+/**
+ * GraphQL over an HttpClient, so its interceptors (auth, retry, logging,
+ * error transform) apply unchanged. Queries are marked idempotent and get
+ * the client's retries; mutations don't, and only they go to the offline
+ * queue.
+ *
+ *   const graphql = new GraphQLClient(client, { persistedQueries: true });
+ *   const { user } = await graphql.request<{ user: User }>(
+ *     "query GetUser($id: ID!) { user(id: $id) { id name } }",
+ *     { id: 1 }
+ *   );
+ */
+class GraphQLClient {
+  private client: HttpClient;
+  private endpoint: string;
+  private persistedQueries: boolean;
+  private batch: Required<GraphQLBatchConfig> | null;
+  private hashes: Map<string, Promise<string>>;
+  private batched: BatchedOperation[];
+  private flushTimer: ReturnType<typeof setTimeout> | null;
+
+  constructor(client: HttpClient, config: GraphQLClientConfig = {}) {
+    this.client = client;
+    this.endpoint = config.endpoint || "/graphql";
+    this.persistedQueries = config.persistedQueries ?? false;
+    this.batch = config.batch
+      ? {
+          maxSize: 10,
+          wait: 0,
+          ...(config.batch === true ? {} : config.batch),
+        }
+      : null;
+    this.hashes = new Map();
+    this.batched = [];
+    this.flushTimer = null;
+  }
+
+  /**
+   * Resolves with `data`, or rejects with GraphQLError when the response
+   * has errors[] (the partial data is on `error.data`). Calls without
+   * request options join the current batch when batching is on.
+   */
+  public async request<T = any, V extends Variables = Variables>(
+    query: string,
+    variables?: V,
+    { operationName, ...options }: GraphQLOptions = {}
+  ): Promise<T> {
+    const payload: GraphQLPayload = { query, variables, operationName };
+    const { signal, ...rest } = options;
+    const batchable =
+      this.batch &&
+      Object.keys(rest).length === 0 &&
+      !Array.isArray(signal) &&
+      getOperationType(query, operationName) !== "subscription";
+
+    if (batchable) {
+      return this.enqueue<T>(payload, signal || undefined);
+    }
+
+    return this.execute<T>(payload, options);
+  }
+
+  private execute<T>(
+    payload: GraphQLPayload,
+    options: RequestOptions
+  ): Promise<T> {
+    const type = getOperationType(
+      payload.query as string,
+      payload.operationName
+    );
+    const isQuery = type === "query";
+    // a query is a read, the offline queue is for mutations
+    const requestOptions = {
+      ...options,
+      idempotent: isQuery,
+      queueOffline: isQuery ? false : options.queueOffline,
+    };
+
+    return this.persistedQueries
+      ? this.sendPersisted<T>(payload, requestOptions)
+      : this.send<T>(payload, requestOptions);
+  }
+
+  private async send<T>(
+    payload: GraphQLPayload,
+    options: RequestOptions
+  ): Promise<T> {
+    try {
+      const { data } = await this.client.post<T>(this.endpoint, payload, {
+        ...options,
+        validate: toData,
+      });
+      return data as T;
+    } catch (error) {
+      throw normalizeError(error);
+    }
+  }
+
+  // APQ: the hash alone first, the full query once the server says it doesn't know it
+  private async sendPersisted<T>(
+    payload: GraphQLPayload,
+    options: RequestOptions
+  ): Promise<T> {
+    const query = payload.query as string;
+    let hash = this.hashes.get(query);
+    if (!hash) {
+      hash = sha256(query);
+      this.hashes.set(query, hash);
+    }
+
+    const extensions = {
+      persistedQuery: { version: 1 as const, sha256Hash: await hash },
+    };
+
+    try {
+      return await this.send<T>(
+        { ...payload, query: undefined, extensions },
+        options
+      );
+    } catch (error) {
+      if (!(error instanceof GraphQLError)) throw error;
+
+      if (hasErrorCode(error, PERSISTED_QUERY_NOT_SUPPORTED)) {
+        this.persistedQueries = false;
+        return this.send<T>(payload, options);
+      }
+      if (hasErrorCode(error, PERSISTED_QUERY_NOT_FOUND)) {
+        return this.send<T>({ ...payload, extensions }, options);
+      }
+      throw error;
+    }
+  }
+
+  private enqueue<T>(payload: GraphQLPayload, signal?: AbortSignal) {
+    const result = new Promise<T>((resolve, reject) => {
+      this.batched.push({
+        payload,
+        signal,
+        resolve: resolve as (data: unknown) => void,
+        reject,
+      });
+    });
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.batch?.wait);
+    }
+
+    // an aborted caller stops waiting, the batch goes out for the others
+    return raceSignal(result, signal);
+  }
+
+  private flush(): void {
+    this.flushTimer = null;
+    const operations = this.batched.filter(
+      (operation) => !operation.signal?.aborted
+    );
+    this.batched = [];
+
+    const maxSize = this.batch?.maxSize || operations.length;
+    for (let start = 0; start < operations.length; start += maxSize) {
+      this.sendBatch(operations.slice(start, start + maxSize));
+    }
+  }
+
+  // Batched operations go with their full query text, no APQ round trips
+  private async sendBatch(operations: BatchedOperation[]): Promise<void> {
+    const [single] = operations;
+    if (operations.length === 1 && single) {
+      this.execute(single.payload, { signal: single.signal }).then(
+        single.resolve,
+        single.reject
+      );
+      return;
+    }
+
+    const idempotent = operations.every(
+      ({ payload }) =>
+        getOperationType(payload.query as string, payload.operationName) ===
+        "query"
+    );
+
+    try {
+      const { data } = await this.client.post<unknown[]>(
+        this.endpoint,
+        operations.map(({ payload }) => payload),
+        {
+          idempotent,
+          queueOffline: idempotent ? false : undefined,
+          validate: (body) => {
+            if (!Array.isArray(body) || body.length !== operations.length) {
+              throw new ParseError(
+                "Expected one GraphQL result per operation",
+                {
+                  data: body,
+                }
+              );
+            }
+            return body;
+          },
+        }
+      );
+
+      operations.forEach((operation, index) => {
+        try {
+          operation.resolve(toData(data?.[index]));
+        } catch (error) {
+          operation.reject(error);
+        }
+      });
+    } catch (error) {
+      const normalized = normalizeError(error);
+      operations.forEach((operation) => operation.reject(normalized));
+    }
+  }
+}
+
+export default GraphQLClient;
@@ -0,0 +1,656 @@
+import { describe, expect, test, vi } from "vitest";
+import CircuitBreaker from "./CircuitBreaker";
+import {
+  AbortError,
+  CircuitOpenError,
+  HttpError,
+  NetworkError,
+  ParseError,
+  TimeoutError,
+  ValidationError,
+  collectItems,
+  createAuthInterceptor,
+  createMemoryMetricsSink,
+  createRefreshAuthInterceptor,
+} from "./HttpClient";
+import { createMockClient } from "./MockClient";
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("dedupe", () => {
+  test("shares one call between identical requests", async () => {
+    const { mock, client } = createMockClient({ dedupe: true });
+    mock.on("GET", "/items", { body: [1, 2], delay: 5 });
+
+    const [first, second] = await Promise.all([
+      client.get("/items"),
+      client.get("/items"),
+    ]);
+
+    expect(mock.requests).toHaveLength(1);
+    expect(first.data).toEqual([1, 2]);
+    expect(second.data).toEqual([1, 2]);
+  });
+
+  test("keeps requests with other params or headers apart", async () => {
+    const { mock, client } = createMockClient({ dedupe: true });
+    mock.on("GET", "/items", ({ query, headers }) => ({
+      body: { page: query.get("page"), accept: headers.get("accept") },
+      delay: 5,
+    }));
+
+    const [first, second, csv] = await Promise.all([
+      client.get("/items", { params: { page: 1 } }),
+      client.get("/items", { params: { page: 2 } }),
+      client.get("/items", {
+        params: { page: 1 },
+        headers: { Accept: "text/csv" },
+      }),
+    ]);
+
+    expect(mock.requests).toHaveLength(3);
+    expect(first.data).toEqual({ page: "1", accept: null });
+    expect(second.data).toEqual({ page: "2", accept: null });
+    expect(csv.data).toEqual({ page: "1", accept: "text/csv" });
+  });
+
+  test("cancels one caller without stopping the shared call", async () => {
+    const { mock, client } = createMockClient({ dedupe: true });
+    mock.on("GET", "/items", { body: [1], delay: 5 });
+
+    const first = client.get("/items", { requestId: "first" });
+    const second = client.get("/items", { requestId: "second" });
+    client.cancelRequest("first");
+
+    await expect(first).rejects.toBeInstanceOf(AbortError);
+    await expect(second).resolves.toMatchObject({ data: [1] });
+  });
+});
+
+describe("response cache", () => {
+  test("serves fresh entries without the network", async () => {
+    const { mock, client } = createMockClient({
+      responseCache: { maxAge: 1000 },
+    });
+    mock.on("GET", "/items", () => ({ body: { call: mock.requests.length } }));
+
+    await client.get("/items");
+    const cached = await client.get("/items");
+
+    expect(mock.requests).toHaveLength(1);
+    expect(cached.data).toEqual({ call: 1 });
+  });
+
+  test("caches each page on its own", async () => {
+    const { mock, client } = createMockClient({
+      responseCache: { maxAge: 1000 },
+    });
+    mock.on("GET", "/items", ({ query }) => ({
+      body: { page: query.get("page") },
+    }));
+
+    await client.get("/items", { params: { page: 1 } });
+    const second = await client.get("/items", { params: { page: 2 } });
+    const cached = await client.get("/items", { params: { page: 1 } });
+
+    expect(second.data).toEqual({ page: "2" });
+    expect(cached.data).toEqual({ page: "1" });
+    expect(mock.requests).toHaveLength(2);
+  });
+
+  test("doesn't serve one user's entry to the next", async () => {
+    const { mock, client } = createMockClient({
+      responseCache: { maxAge: 1000 },
+    });
+    let token = "leanne";
+    client.addRequestInterceptor(createAuthInterceptor(() => token));
+    mock.on("GET", "/me", ({ headers }) => ({
+      body: { token: headers.get("authorization") },
+    }));
+
+    await client.get("/me");
+    token = "ervin";
+    const next = await client.get("/me");
+
+    expect(next.data).toEqual({ token: "Bearer ervin" });
+    expect(mock.requests).toHaveLength(2);
+  });
+
+  test("hands every caller its own copy", async () => {
+    const { mock, client } = createMockClient({
+      responseCache: { maxAge: 1000 },
+    });
+    mock.on("GET", "/items", { body: { items: [1] } });
+
+    const first = await client.get("/items");
+    first.data.items.push(2);
+    const second = await client.get("/items");
+
+    expect(second.data).toEqual({ items: [1] });
+  });
+
+  test("drops the least recently used entries past responseCacheSize", async () => {
+    const { mock, client } = createMockClient({
+      responseCache: { maxAge: 1000 },
+      responseCacheSize: 2,
+    });
+    mock.on("GET", "/items/:id", ({ params }) => ({ body: params.id }));
+
+    await client.get("/items/1");
+    await client.get("/items/2");
+    await client.get("/items/1");
+    await client.get("/items/3");
+    await client.get("/items/1");
+    await client.get("/items/2");
+
+    expect(mock.requests.map((request) => request.url)).toEqual([
+      "/items/1",
+      "/items/2",
+      "/items/3",
+      "/items/2",
+    ]);
+  });
+
+  test("hands out what a parser returns as is", async () => {
+    class User {
+      constructor(readonly name: string) {}
+    }
+    const { mock, client } = createMockClient({
+      responseCache: { maxAge: 1000 },
+    });
+    mock.on("GET", "/me", { body: { name: "Leanne" } });
+    const validate = (data: unknown) => new User((data as User).name);
+
+    const first = await client.get("/me", { validate });
+    const second = await client.get("/me", { validate });
+
+    expect(first.data).toBeInstanceOf(User);
+    expect(second.data).toBeInstanceOf(User);
+    expect(mock.requests).toHaveLength(1);
+  });
+
+  test("serves a stale entry while it revalidates", async () => {
+    const { mock, client } = createMockClient({
+      responseCache: { maxAge: 0, staleWhileRevalidate: 1000 },
+    });
+    mock.on("GET", "/items", () => ({ body: { call: mock.requests.length } }));
+
+    await client.get("/items");
+    const stale = await client.get("/items");
+    expect(stale.data).toEqual({ call: 1 });
+
+    await vi.waitFor(() => expect(mock.requests).toHaveLength(2));
+    await vi.waitFor(async () =>
+      expect((await client.get("/items")).data).toEqual({ call: 2 })
+    );
+  });
+
+  test("revalidates with the ETag and keeps the entry on a 304", async () => {
+    const { mock, client } = createMockClient({ responseCache: { maxAge: 0 } });
+    mock.once("GET", "/items", {
+      headers: { etag: '"v1"' },
+      body: { version: 1 },
+    });
+    mock.on("GET", "/items", { status: 304 });
+
+    await client.get("/items");
+    const revalidated = await client.get("/items");
+
+    expect(mock.requests[1]?.headers.get("if-none-match")).toBe('"v1"');
+    expect(revalidated.status).toBe(200);
+    expect(revalidated.data).toEqual({ version: 1 });
+  });
+
+  test("doesn't validate or intercept the body of a 304", async () => {
+    const { mock, client } = createMockClient({ responseCache: { maxAge: 0 } });
+    mock.once("GET", "/items", {
+      headers: { etag: '"v1"' },
+      body: { version: 1 },
+    });
+    mock.on("GET", "/items", { status: 304 });
+    const onResponse = vi.fn((response) => response);
+    client.addResponseInterceptor({ onResponse });
+    const validate = (data: unknown) => {
+      if (!data) throw new Error("empty");
+      return data as { version: number };
+    };
+
+    await client.get("/items", { validate });
+    const revalidated = await client.get("/items", { validate });
+
+    expect(revalidated.data).toEqual({ version: 1 });
+    expect(onResponse).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("retry", () => {
+  test("retries a 503 with backoff until it succeeds", async () => {
+    const { mock, client } = createMockClient();
+    mock.once("GET", "/flaky", { status: 503 });
+    mock.on("GET", "/flaky", { body: "ok" });
+    const onRetry = vi.fn();
+
+    const response = await client.get("/flaky", {
+      retry: { count: 2, delay: 1, jitter: false, onRetry },
+    });
+
+    expect(response.data).toBe("ok");
+    expect(mock.requests).toHaveLength(2);
+    expect(onRetry).toHaveBeenCalledWith(
+      expect.objectContaining({ attempt: 1, count: 2, delay: 1 })
+    );
+  });
+
+  test("waits for Retry-After on a 429", async () => {
+    const { mock, client } = createMockClient();
+    mock.once("GET", "/limited", {
+      status: 429,
+      headers: { "retry-after": "0" },
+    });
+    mock.on("GET", "/limited", { body: "ok" });
+    const onRetry = vi.fn();
+
+    await client.get("/limited", {
+      retry: { count: 1, delay: 5000, onRetry },
+    });
+
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ delay: 0 }));
+  });
+
+  test("leaves a POST alone unless it is marked idempotent", async () => {
+    const { mock, client } = createMockClient({
+      retry: { count: 2, delay: 1 },
+    });
+    mock.once("POST", "/items", { status: 503 });
+    mock.on("POST", "/items", { status: 201, body: { id: 1 } });
+
+    await expect(client.post("/items", { name: "a" })).rejects.toBeInstanceOf(
+      HttpError
+    );
+    await expect(
+      client.post("/items", { name: "a" }, { idempotent: true })
+    ).resolves.toMatchObject({ status: 201 });
+  });
+});
+
+describe("createRefreshAuthInterceptor", () => {
+  test("refreshes once for concurrent 401s and replays them", async () => {
+    const { mock, client } = createMockClient();
+    let token = "old";
+    const refreshToken = vi.fn(async () => {
+      await sleep(5);
+      token = "new";
+    });
+    const auth = createRefreshAuthInterceptor(client, {
+      getToken: () => token,
+      refreshToken,
+    });
+    client.addRequestInterceptor(auth);
+    client.addResponseInterceptor(auth);
+    mock.on("GET", "/me", ({ headers }) =>
+      headers.get("authorization") === "Bearer new"
+        ? { body: { name: "Leanne" } }
+        : { status: 401 }
+    );
+
+    const responses = await Promise.all([client.get("/me"), client.get("/me")]);
+
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+    expect(responses.map((response) => response.data)).toEqual([
+      { name: "Leanne" },
+      { name: "Leanne" },
+    ]);
+  });
+
+  test("rejects and reports once when the refresh fails", async () => {
+    const { mock, client } = createMockClient();
+    const onAuthFailure = vi.fn();
+    const auth = createRefreshAuthInterceptor(client, {
+      getToken: () => "expired",
+      refreshToken: async () => {
+        throw new Error("refresh token revoked");
+      },
+      onAuthFailure,
+    });
+    client.addRequestInterceptor(auth);
+    client.addResponseInterceptor(auth);
+    mock.on("GET", "/me", { status: 401 });
+
+    await expect(client.get("/me")).rejects.toMatchObject({ status: 401 });
+    expect(onAuthFailure).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("stream", () => {
+  test("parses NDJSON and reports download progress", async () => {
+    const { mock, client } = createMockClient();
+    const body = '{"id":1}\n{"id":2}\n';
+    mock.on("GET", "/events", {
+      headers: {
+        "content-type": "application/x-ndjson",
+        "content-length": String(body.length),
+      },
+      body,
+    });
+    const onProgress = vi.fn();
+
+    const items = await collectItems(client.stream("/events", { onProgress }));
+
+    expect(items).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(onProgress).toHaveBeenLastCalledWith({
+      loaded: body.length,
+      total: body.length,
+    });
+  });
+
+  test("parses Server-Sent Events", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("GET", "/feed", {
+      headers: { "content-type": "text/event-stream" },
+      body: ": hello\nevent: ping\ndata: 1\n\ndata: a\ndata: b\nid: 7\n\n",
+    });
+
+    const events = await collectItems(client.stream("/feed"));
+
+    expect(events).toEqual([
+      { event: "ping", data: "1", id: undefined, retry: undefined },
+      { event: "message", data: "a\nb", id: "7", retry: undefined },
+    ]);
+  });
+});
+
+describe("raw bodies", () => {
+  test("passes FormData through and lets the browser set its type", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("POST", "/files", { status: 201 });
+    const form = new FormData();
+    form.append("name", "avatar.png");
+
+    await client.post("/files", form);
+
+    expect(mock.requests[0]?.body).toBe(form);
+    expect(mock.requests[0]?.headers.get("content-type")).toBeNull();
+  });
+
+  test("reports upload progress", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("POST", "/files", { status: 201 });
+    const onUploadProgress = vi.fn();
+
+    await client.upload("/files", new Blob(["abc"]), { onUploadProgress });
+
+    expect(onUploadProgress).toHaveBeenCalledWith({ loaded: 3, total: 3 });
+  });
+});
+
+describe("errors", () => {
+  test("rejects a non-2xx with HttpError and its body", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("GET", "/missing", { status: 404, body: { error: "not found" } });
+
+    const error = await client.get("/missing").catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error).toMatchObject({ status: 404, data: { error: "not found" } });
+  });
+
+  test("tells parse, network, timeout and cancel failures apart", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("GET", "/broken", {
+      headers: { "content-type": "application/json" },
+      body: "{",
+    });
+    mock.on("GET", "/offline", { error: "network" });
+    mock.on("GET", "/slow", { delay: 50 });
+
+    await expect(client.get("/broken")).rejects.toBeInstanceOf(ParseError);
+    await expect(client.get("/offline")).rejects.toBeInstanceOf(NetworkError);
+    await expect(client.get("/slow", { timeout: 5 })).rejects.toBeInstanceOf(
+      TimeoutError
+    );
+
+    const cancelled = client.get("/slow", { requestId: "slow" });
+    client.cancelRequest("slow");
+    await expect(cancelled).rejects.toBeInstanceOf(AbortError);
+  });
+});
+
+describe("caller signals", () => {
+  test("aborts with the caller's signal", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("GET", "/slow", { delay: 50 });
+    const controller = new AbortController();
+
+    const request = client.get("/slow", { signal: controller.signal });
+    controller.abort();
+
+    await expect(request).rejects.toBeInstanceOf(AbortError);
+  });
+
+  test("turns AbortSignal.timeout() into a TimeoutError", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("GET", "/slow", { delay: 50 });
+
+    await expect(
+      client.get("/slow", { signal: AbortSignal.timeout(5) })
+    ).rejects.toBeInstanceOf(TimeoutError);
+  });
+});
+
+describe("concurrency", () => {
+  test("starts queued requests by priority", async () => {
+    const { mock, client } = createMockClient({
+      concurrency: { maxRequests: 1 },
+    });
+    mock.on("GET", "*", { delay: 5 });
+
+    await Promise.all([
+      client.get("/first"),
+      client.get("/low", { priority: "low" }),
+      client.get("/high", { priority: "high" }),
+    ]);
+
+    expect(mock.requests.map((request) => request.path)).toEqual([
+      "/first",
+      "/high",
+      "/low",
+    ]);
+  });
+});
+
+describe("circuit breaker", () => {
+  test("opens after the threshold and closes after a good trial", async () => {
+    const breaker = new CircuitBreaker({
+      failureThreshold: 2,
+      resetTimeout: 20,
+    });
+    const states: string[] = [];
+    breaker.subscribe(({ to }) => states.push(to));
+    const { mock, client } = createMockClient({ circuitBreaker: breaker });
+    mock.on("GET", "/down", { status: 503 });
+
+    await expect(client.get("/down")).rejects.toBeInstanceOf(HttpError);
+    await expect(client.get("/down")).rejects.toBeInstanceOf(HttpError);
+    await expect(client.get("/down")).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(mock.requests).toHaveLength(2);
+
+    await sleep(25);
+    mock.reset();
+    mock.on("GET", "/down", { body: "up" });
+    await client.get("/down");
+
+    expect(states).toEqual(["open", "half-open", "closed"]);
+  });
+});
+
+describe("metrics and tracing", () => {
+  test("reports one event per request and sends a traceparent", async () => {
+    const sink = createMemoryMetricsSink();
+    const { mock, client } = createMockClient({
+      metrics: sink.record,
+      tracing: true,
+    });
+    mock.on("GET", "/items", { body: [] });
+
+    await client.get("/items");
+
+    const traceparent = mock.requests[0]?.headers.get("traceparent");
+    expect(traceparent).toMatch(/^00-[\da-f]{32}-[\da-f]{16}-01$/);
+    expect(sink.events).toEqual([
+      expect.objectContaining({
+        method: "GET",
+        url: "/items",
+        status: 200,
+        error: null,
+        retries: 0,
+        cacheHit: false,
+        traceId: traceparent?.split("-")[1],
+      }),
+    ]);
+  });
+});
+
+describe("paginate", () => {
+  const ITEMS = [1, 2, 3, 4, 5];
+
+  test("walks offset pages until a short one", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("GET", "/items", ({ query }) => {
+      const offset = Number(query.get("offset"));
+      return { body: ITEMS.slice(offset, offset + Number(query.get("limit"))) };
+    });
+
+    const items = await collectItems(
+      client.paginate("/items", { type: "offset", limit: 2 })
+    );
+
+    expect(items).toEqual(ITEMS);
+    expect(mock.requests).toHaveLength(3);
+  });
+
+  test("gets every page through the response cache and dedupe", async () => {
+    const { mock, client } = createMockClient({
+      responseCache: { maxAge: 60000 },
+      dedupe: true,
+    });
+    mock.on("GET", "/items", ({ query }) => {
+      const offset = Number(query.get("offset"));
+      return { body: ITEMS.slice(offset, offset + 2) };
+    });
+
+    const first = await collectItems(
+      client.paginate("/items", { type: "offset", limit: 2 })
+    );
+    const second = await collectItems(
+      client.paginate("/items", { type: "offset", limit: 2 })
+    );
+
+    expect(first).toEqual(ITEMS);
+    expect(second).toEqual(ITEMS);
+    expect(mock.requests).toHaveLength(3);
+  });
+
+  test("follows cursors and Link headers", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("GET", "/cursor", ({ query }) =>
+      query.get("cursor")
+        ? { body: { items: [2], next: null } }
+        : { body: { items: [1], next: "b" } }
+    );
+    mock.on("GET", "/linked", ({ query }) =>
+      query.get("page") === "2"
+        ? { body: [2] }
+        : { headers: { link: '</linked?page=2>; rel="next"' }, body: [1] }
+    );
+
+    const byCursor = await collectItems(
+      client.paginate("/cursor", {
+        type: "cursor",
+        getCursor: (data) => data.next,
+        getItems: (data) => data.items,
+      })
+    );
+    const byLink = await collectItems(
+      client.paginate("/linked", { type: "link" })
+    );
+
+    expect(byCursor).toEqual([1, 2]);
+    expect(byLink).toEqual([1, 2]);
+  });
+
+  test("fetches no page beyond what collectItems asks for", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("GET", "/items", ({ query }) => {
+      const offset = Number(query.get("offset"));
+      return { body: ITEMS.slice(offset, offset + 2) };
+    });
+
+    const items = await collectItems(
+      client.paginate("/items", { type: "offset", limit: 2 }),
+      3
+    );
+
+    expect(items).toEqual([1, 2, 3]);
+    expect(mock.requests).toHaveLength(2);
+  });
+});
+
+describe("validate", () => {
+  test("rejects a payload that doesn't match the schema", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("GET", "/users", { body: [{ id: 1, name: 2 }] });
+
+    const error = await client
+      .get("/users", {
+        validate: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["id", "name"],
+            properties: { name: { type: "string" } },
+          },
+        },
+      })
+      .catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.path).toEqual([0, "name"]);
+    expect(error.message).toBe(
+      "Invalid response at [0].name: expected string, got number"
+    );
+  });
+
+  test("replaces data with what a parser returns", async () => {
+    const { mock, client } = createMockClient();
+    mock.on("GET", "/count", { body: { count: "3" } });
+
+    const response = await client.get("/count", {
+      validate: (data) => Number((data as { count: string }).count),
+    });
+
+    expect(response.data).toBe(3);
+  });
+
+  test.each([
+    { name: "dedupe", config: { dedupe: true }, calls: 2 },
+    {
+      name: "responseCache",
+      config: { responseCache: { maxAge: 1000 } },
+      calls: 1,
+    },
+  ])("runs each caller's validator with $name", async ({ config, calls }) => {
+    const { mock, client } = createMockClient(config);
+    mock.on("GET", "/items", { body: [1, 2], delay: 5 });
+
+    const [counted, checked] = await Promise.allSettled([
+      client.get("/items", { validate: (data) => (data as number[]).length }),
+      client.get("/items", { validate: { type: "object" } }),
+    ]);
+    const later = await client.get("/items", { validate: { type: "array" } });
+
+    expect(mock.requests).toHaveLength(calls);
+    expect(counted).toMatchObject({ value: { data: 2 } });
+    expect(checked).toMatchObject({ reason: { name: "ValidationError" } });
+    expect(later.data).toEqual([1, 2]);
+  });
+});
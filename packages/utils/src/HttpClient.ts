@@ -1,10 +1,29 @@
+import type CircuitBreaker from "./CircuitBreaker";
+import type OfflineQueue from "./OfflineQueue";
+import type { QueueEntry } from "./OfflineQueue";
+
 // types.ts
-export interface RequestOptions extends Omit<RequestInit, "signal"> {
-  params?: Record<string, string | number | boolean>;
+export type QueryParamValue = string | number | boolean;
+
+// an array repeats the key: { tag: ["a", "b"] } is ?tag=a&tag=b
+export type QueryParams = Record<string, QueryParamValue | QueryParamValue[]>;
+
+export interface RequestOptions<T = any>
+  extends Omit<RequestInit, "signal" | "priority"> {
+  signal?: AbortSignal | AbortSignal[] | null; // any of them aborting cancels the request
+  params?: QueryParams;
   timeout?: number;
   credentials?: RequestCredentials;
   retry?: RetryConfig;
   url?: string; // Added for interceptor usage
+  dedupe?: boolean; // share one in-flight call between identical requests
+  requestId?: string; // per-caller handle for cancelRequest, defaults to the request key
+  responseCache?: CacheConfig | false; // `cache` is taken by RequestInit
+  idempotent?: boolean; // allows retrying POST / PATCH
+  skipAuthRefresh?: boolean; // e.g. the refresh call itself, see createRefreshAuthInterceptor
+  priority?: QueuePriority; // queue order, also passed to fetch as its priority hint
+  validate?: Validator<T>; // checks `data` after the response interceptors
+  queueOffline?: boolean; // false keeps a mutation out of the offline queue
 }
 
 export interface HttpClientConfig {
@@ -13,6 +32,44 @@ export interface HttpClientConfig {
   timeout?: number;
   credentials?: RequestCredentials;
   retry?: RetryConfig;
+  dedupe?: boolean;
+  responseCache?: CacheConfig;
+  responseCacheSize?: number; // entries kept, the least recently used go first; defaults to 100
+  transport?: Transport; // replaces window.fetch, e.g. MockTransport in tests
+  concurrency?: ConcurrencyConfig;
+  circuitBreaker?: CircuitBreaker; // can be shared between clients
+  metrics?: (metrics: RequestMetrics) => void; // one call per request, see createMemoryMetricsSink
+  tracing?: boolean | TracingConfig; // inject W3C traceparent / tracestate headers
+  offlineQueue?: OfflineQueue; // queues mutations made offline, replays them when back online
+}
+
+export interface RequestMetrics {
+  method: string;
+  url: string;
+  status: number | null; // null when no response came back
+  error: string | null; // error class name, e.g. "TimeoutError"
+  queued: number; // ms spent waiting for a concurrency slot, all attempts
+  timeToHeaders: number | null; // ms from start to the last attempt's headers
+  total: number; // ms from start to settled
+  retries: number;
+  cacheHit: boolean; // served from the response cache, a 304 included
+  bytes: number | null; // from content-length
+  traceId: string | null;
+  spanId: string | null; // of the last attempt
+}
+
+export interface TracingConfig {
+  // joins the caller's trace, e.g. the id of the page load trace; random otherwise
+  getTraceId?: () => string | undefined;
+  tracestate?: string;
+  sampled?: boolean; // defaults to true
+}
+
+export type QueuePriority = "high" | "normal" | "low";
+
+export interface ConcurrencyConfig {
+  maxRequests?: number; // requests on the wire at once for this client
+  maxPerOrigin?: number; // same, per origin
 }
 
 export interface HttpResponse<T = unknown> {
@@ -22,18 +79,259 @@ export interface HttpResponse<T = unknown> {
   config: RequestOptions;
 }
 
-export interface HttpRequestError {
-  message: string;
+export interface HttpRequestErrorOptions {
   status?: number;
   data?: any;
   config?: RequestOptions;
-  cause?: Error;
+  headers?: Headers;
+  cause?: unknown;
 }
 
 export interface RetryConfig {
   count: number;
-  delay?: number;
+  delay?: number; // base delay in ms, defaults to 300
+  backoff?: "fixed" | "exponential"; // defaults to exponential
+  maxDelay?: number; // upper bound for a single wait, Retry-After included
+  jitter?: boolean; // randomize each wait between 50% and 100%, defaults to true
   shouldRetry?: (error: HttpRequestError) => boolean;
+  onRetry?: (retry: RetryAttempt) => void;
+}
+
+export interface RetryAttempt {
+  attempt: number; // 1-based, e.g. `retrying (${attempt}/${count})`
+  count: number;
+  delay: number;
+  error: HttpRequestError;
+}
+
+export interface CacheConfig {
+  maxAge?: number; // ms a cached response is served without touching the network
+  staleWhileRevalidate?: number; // ms past maxAge the stale response is served while revalidating
+  key?: string; // overrides the request key as cache key
+}
+
+export interface StreamOptions extends RequestOptions {
+  format?: "ndjson" | "sse" | "bytes"; // inferred from content-type when omitted
+  onProgress?: (progress: TransferProgress) => void;
+}
+
+// Anything shaped like window.fetch can carry requests
+export type Transport = (
+  url: string,
+  init: RequestInit,
+  options?: TransportOptions
+) => Promise<Response>;
+
+export interface TransportOptions {
+  onUploadProgress?: (progress: TransferProgress) => void;
+}
+
+export interface UploadOptions extends Omit<RequestOptions, "body"> {
+  onUploadProgress?: (progress: TransferProgress) => void;
+}
+
+export interface TransferProgress {
+  loaded: number;
+  total: number | null; // null without a content-length header
+}
+
+interface PaginationBase<T> {
+  getItems?: (data: any) => T[]; // defaults to the body itself, for array responses
+  maxPages?: number;
+}
+
+export type PaginationStrategy<T = any> = PaginationBase<T> &
+  (
+    | {
+        type: "offset"; // stops at the first page shorter than limit
+        limit: number;
+        offsetParam?: string; // defaults to "offset"
+        limitParam?: string; // defaults to "limit"
+        startOffset?: number;
+      }
+    | {
+        type: "cursor"; // stops when getCursor returns nothing
+        getCursor: (
+          data: any,
+          response: HttpResponse<any>
+        ) => string | null | undefined;
+        cursorParam?: string; // defaults to "cursor"
+      }
+    | {
+        type: "link"; // follows RFC 5988 `Link: <...>; rel="next"`
+      }
+  );
+
+export interface ServerSentEvent {
+  event: string;
+  data: string;
+  id?: string;
+  retry?: number;
+}
+
+// A subset of JSON Schema, enough to pin down the shape of a payload
+export interface Schema {
+  type?: "string" | "number" | "integer" | "boolean" | "array" | "object";
+  nullable?: boolean;
+  enum?: unknown[];
+  items?: Schema;
+  properties?: Record<string, Schema>;
+  required?: string[];
+}
+
+// A parser returns the data, possibly transformed, or throws
+export type Validator<T = unknown> = Schema | ((data: unknown) => T);
+
+export interface GraphQLErrorItem {
+  message: string;
+  locations?: Array<{ line: number; column: number }>;
+  path?: Array<string | number>;
+  extensions?: Record<string, unknown>;
+}
+
+export interface AuthRefreshConfig {
+  getToken: () => string | null | Promise<string | null>;
+  refreshToken: () => Promise<unknown>; // stores the new token where getToken reads it
+  onAuthFailure?: (error: HttpRequestError) => void;
+}
+
+// errors.ts
+// Base class of everything HttpClient rejects with
+export class HttpRequestError extends Error {
+  status?: number;
+  data?: any;
+  config?: RequestOptions;
+  headers?: Headers;
+  cause?: unknown;
+
+  constructor(
+    message: string,
+    { status, data, config, headers, cause }: HttpRequestErrorOptions = {}
+  ) {
+    super(message);
+    this.name = "HttpRequestError";
+    this.status = status;
+    this.data = data;
+    this.config = config;
+    this.headers = headers;
+    this.cause = cause;
+  }
+}
+
+// The server answered with a non-2xx status
+export class HttpError extends HttpRequestError {
+  declare status: number;
+
+  constructor(
+    message: string,
+    options: HttpRequestErrorOptions & { status: number }
+  ) {
+    super(message, options);
+    this.name = "HttpError";
+  }
+}
+
+// No response within the request timeout
+export class TimeoutError extends HttpRequestError {
+  constructor(message: string, options?: HttpRequestErrorOptions) {
+    super(message, options);
+    this.name = "TimeoutError";
+  }
+}
+
+// Cancelled on purpose: cancelRequest, cancelAllRequests or a left stream.
+// Shares its name with the DOMException so `error.name === "AbortError"` checks keep working
+export class AbortError extends HttpRequestError {
+  constructor(message: string, options?: HttpRequestErrorOptions) {
+    super(message, options);
+    this.name = "AbortError";
+  }
+}
+
+// The request never got a response: offline, DNS, CORS
+export class NetworkError extends HttpRequestError {
+  constructor(message: string, options?: HttpRequestErrorOptions) {
+    super(message, options);
+    this.name = "NetworkError";
+  }
+}
+
+// The body doesn't parse as its content type claims
+export class ParseError extends HttpRequestError {
+  constructor(message: string, options?: HttpRequestErrorOptions) {
+    super(message, options);
+    this.name = "ParseError";
+  }
+}
+
+// The payload doesn't match the request's `validate` schema or parser
+export class ValidationError extends HttpRequestError {
+  path: Array<string | number>; // to the offending field, e.g. ["items", 3, "website"]
+
+  constructor(
+    message: string,
+    {
+      path,
+      ...options
+    }: HttpRequestErrorOptions & { path: Array<string | number> }
+  ) {
+    super(message, options);
+    this.name = "ValidationError";
+    this.path = path;
+  }
+}
+
+// The mutation went to the offline queue and will be replayed
+export class QueuedError extends HttpRequestError {
+  entry: QueueEntry;
+
+  constructor(
+    message: string,
+    { entry, ...options }: HttpRequestErrorOptions & { entry: QueueEntry }
+  ) {
+    super(message, options);
+    this.name = "QueuedError";
+    this.entry = entry;
+  }
+}
+
+// The GraphQL response carried errors[]; `data` keeps any partial result
+export class GraphQLError extends HttpRequestError {
+  errors: GraphQLErrorItem[];
+  code?: string; // extensions.code of the first error, e.g. "UNAUTHENTICATED"
+
+  constructor(
+    message: string,
+    {
+      errors,
+      ...options
+    }: HttpRequestErrorOptions & { errors: GraphQLErrorItem[] }
+  ) {
+    super(message, options);
+    this.name = "GraphQLError";
+    this.errors = errors;
+    this.code = errors[0]?.extensions?.code as string | undefined;
+  }
+}
+
+// Failed fast, the origin's circuit breaker is open
+export class CircuitOpenError extends HttpRequestError {
+  origin: string;
+  retryAt: number; // when the breaker lets a trial request through
+
+  constructor(
+    message: string,
+    {
+      origin,
+      retryAt,
+      ...options
+    }: HttpRequestErrorOptions & { origin: string; retryAt: number }
+  ) {
+    super(message, options);
+    this.name = "CircuitOpenError";
+    this.origin = origin;
+    this.retryAt = retryAt;
+  }
 }
 
 // Interceptor Types
@@ -44,6 +342,9 @@ export interface RequestInterceptor {
   onRequestError?: (
     error: HttpRequestError
   ) => Promise<HttpRequestError | void>;
+  // who the requests go out as, e.g. the token; a cached response is only
+  // served to the scope it was fetched for
+  cacheScope?: () => string | null | Promise<string | null>;
 }
 
 export interface ResponseInterceptor<T = any> {
@@ -59,6 +360,7 @@ export interface ResponseInterceptor<T = any> {
 export const createAuthInterceptor = (
   getToken: () => string | Promise<string>
 ): RequestInterceptor => ({
+  cacheScope: getToken,
   onRequest: async (config) => {
     const token = await Promise.resolve(getToken());
     return {
@@ -75,16 +377,87 @@ export const createAuthInterceptor = (
   },
 });
 
+/**
+ * Bearer auth that survives token expiry: the first 401 starts a single
+ * refreshToken() call, every other request that fails or starts meanwhile
+ * waits for it, then replays with the new token. When the refresh fails all
+ * waiting callers reject with an auth error and onAuthFailure fires once.
+ */
+export const createRefreshAuthInterceptor = (
+  client: HttpClient,
+  { getToken, refreshToken, onAuthFailure }: AuthRefreshConfig
+): RequestInterceptor & ResponseInterceptor => {
+  let refreshing: Promise<unknown> | null = null;
+
+  const refresh = (error: HttpRequestError) => {
+    if (!refreshing) {
+      refreshing = Promise.resolve()
+        .then(refreshToken)
+        .catch((cause) => {
+          // no config: waiting requests must not try to replay someone else's
+          const authError = new HttpError("Authentication required", {
+            status: error.status ?? 401,
+            cause,
+          });
+          onAuthFailure?.(authError);
+          throw authError;
+        })
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  };
+
+  return {
+    cacheScope: getToken,
+    onRequest: async (config) => {
+      if (refreshing && !config.skipAuthRefresh) {
+        await refreshing;
+      }
+
+      const token = await Promise.resolve(getToken());
+      if (!token) return config;
+
+      return {
+        ...config,
+        headers: {
+          ...config.headers,
+          Authorization: `Bearer ${token}`,
+        },
+      };
+    },
+    onResponseError: async (error) => {
+      const config = error.config;
+
+      if (error.status !== 401 || !config?.url || config.skipAuthRefresh) {
+        throw error;
+      }
+
+      const sentAuthorization = (
+        config.headers as Record<string, string> | undefined
+      )?.Authorization;
+      const token = await Promise.resolve(getToken());
+
+      // Sent before a refresh that has already finished: just replay
+      if (!token || sentAuthorization === `Bearer ${token}`) {
+        await refresh(error);
+      }
+
+      // keeps `validate`, a response recovered here skips the outer one
+      return client.request(config.url, { ...config, skipAuthRefresh: true });
+    },
+  };
+};
+
+// Applies a retry policy to every request that does not bring its own
 export const createRetryInterceptor = (
   retryConfig: RetryConfig
-): ResponseInterceptor => ({
-  onResponseError: async (error) => {
-    if (error.status && error.status >= 500 && retryConfig.count > 0) {
-      // Implement retry logic
-      return error; // If retry fails, throw the error
-    }
-    throw error;
-  },
+): RequestInterceptor => ({
+  onRequest: async (config) => ({
+    ...config,
+    retry: config.retry || retryConfig,
+  }),
 });
 
 export const createLoggingInterceptor = (
@@ -115,23 +488,48 @@ export const createLoggingInterceptor = (
 
 export const createErrorTransformInterceptor = (): ResponseInterceptor => ({
   onResponseError: async (error) => {
-    // Transform error into a standardized format
-    if (error.status === 401) {
-      throw {
+    // Transform error into a standardized format, keeping its class
+    if (error instanceof HttpError && error.status === 401) {
+      throw new HttpError("Authentication required", {
         ...error,
-        message: "Authentication required",
-      };
+        cause: error,
+      });
+    }
+    if (error instanceof HttpError && error.status === 403) {
+      throw new HttpError("Permission denied", { ...error, cause: error });
     }
-    if (error.status === 403) {
-      throw {
+    if (error instanceof TimeoutError) {
+      throw new TimeoutError("The server took too long to respond", {
         ...error,
-        message: "Permission denied",
-      };
+        cause: error,
+      });
+    }
+    if (error instanceof NetworkError) {
+      throw new NetworkError("Unable to reach the server", {
+        ...error,
+        cause: error,
+      });
     }
+    // AbortError is the caller's own doing, leave it alone
     throw error;
   },
 });
 
+// Collects metrics in memory, for tests and local debugging
+export const createMemoryMetricsSink = () => {
+  const events: RequestMetrics[] = [];
+
+  return {
+    events,
+    record: (metrics: RequestMetrics) => {
+      events.push(metrics);
+    },
+    clear: () => {
+      events.length = 0;
+    },
+  };
+};
+
 // Usage example of TypeScript utility types for better type inference
 export type RequestInterceptorFn = NonNullable<RequestInterceptor["onRequest"]>;
 export type ResponseInterceptorFn<T> = NonNullable<
@@ -141,6 +539,530 @@ export type ErrorInterceptorFn = NonNullable<
   ResponseInterceptor["onResponseError"]
 >;
 
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+const DEFAULT_RETRY_DELAY = 300;
+
+interface DispatchOptions {
+  stream?: boolean; // resolve with the unread body instead of buffering it
+  controller?: AbortController; // owned, and released, by the caller
+  transport?: Transport; // defaults to the client transport
+}
+
+// Bodies the browser serializes itself, and sets the Content-Type for
+const isRawBody = (body: unknown): body is BodyInit =>
+  (typeof FormData !== "undefined" && body instanceof FormData) ||
+  (typeof Blob !== "undefined" && body instanceof Blob) ||
+  (typeof URLSearchParams !== "undefined" && body instanceof URLSearchParams) ||
+  (typeof ReadableStream !== "undefined" && body instanceof ReadableStream) ||
+  body instanceof ArrayBuffer ||
+  ArrayBuffer.isView(body);
+
+// Raw bodies can't be stringified into a request key, number them instead
+const rawBodyIds = new WeakMap<object, number>();
+let nextRawBodyId = 0;
+
+const getBodyKey = (body: unknown): string => {
+  if (!isRawBody(body) || typeof body !== "object") {
+    return JSON.stringify(body || "");
+  }
+
+  let id = rawBodyIds.get(body);
+  if (id === undefined) {
+    id = ++nextRawBodyId;
+    rawBodyIds.set(body, id);
+  }
+  return `#body-${id}`;
+};
+
+// Aborts the controller as soon as any signal does, returns the unlink function
+const linkSignals = (
+  signals: AbortSignal | AbortSignal[] | null | undefined,
+  controller: AbortController
+): (() => void) => {
+  const list = signals ? ([] as AbortSignal[]).concat(signals) : [];
+  const aborted = list.find((signal) => signal.aborted);
+
+  if (aborted) {
+    controller.abort(aborted.reason);
+    return () => {};
+  }
+
+  const onAbort = (event: Event) =>
+    controller.abort((event.target as AbortSignal).reason);
+
+  list.forEach((signal) =>
+    signal.addEventListener("abort", onAbort, { once: true })
+  );
+  return () =>
+    list.forEach((signal) => signal.removeEventListener("abort", onAbort));
+};
+
+const createAbortError = () =>
+  new DOMException("The operation was aborted.", "AbortError");
+
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+const parseXHRHeaders = (rawHeaders: string): Headers => {
+  const headers = new Headers();
+
+  rawHeaders
+    .trim()
+    .split(/[\r\n]+/)
+    .forEach((line) => {
+      const separator = line.indexOf(":");
+      if (separator > 0) {
+        headers.append(
+          line.slice(0, separator).trim(),
+          line.slice(separator + 1).trim()
+        );
+      }
+    });
+
+  return headers;
+};
+
+// fetch can't report upload progress, XMLHttpRequest can
+const createXHRTransport =
+  (onUploadProgress?: (progress: TransferProgress) => void): Transport =>
+  (url, init) =>
+    new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      const abort = () => xhr.abort();
+
+      xhr.open(init.method || "POST", url);
+      xhr.responseType = "blob";
+      xhr.withCredentials = init.credentials === "include";
+
+      Object.entries((init.headers as Record<string, string>) || {}).forEach(
+        ([name, value]) => xhr.setRequestHeader(name, value)
+      );
+
+      xhr.upload.onprogress = (event) => {
+        onUploadProgress?.({
+          loaded: event.loaded,
+          total: event.lengthComputable ? event.total : null,
+        });
+      };
+      xhr.onload = () => {
+        resolve(
+          new Response(
+            NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.response,
+            {
+              status: xhr.status,
+              statusText: xhr.statusText,
+              headers: parseXHRHeaders(xhr.getAllResponseHeaders()),
+            }
+          )
+        );
+      };
+      // same rejections fetch would produce
+      xhr.onerror = () => reject(new TypeError("Failed to fetch"));
+      xhr.onabort = () => reject(createAbortError());
+      xhr.onloadend = () => init.signal?.removeEventListener("abort", abort);
+
+      // abort() before send() fires no events
+      if (init.signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      init.signal?.addEventListener("abort", abort, { once: true });
+
+      xhr.send((init.body as XMLHttpRequestBodyInit | undefined) ?? null);
+    });
+
+// Per-request state shared by dispatch and its attempts
+interface DispatchContext {
+  config: RequestOptions;
+  startedAt: number;
+  queued: number;
+  headersAt: number | null;
+  traceId: string | null;
+  spanId: string | null;
+}
+
+interface SchemaMismatch {
+  path: Array<string | number>;
+  message: string;
+}
+
+const describeValue = (value: unknown): string => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+// ["items", 3, "website"] -> "items[3].website"
+const formatPath = (path: Array<string | number>): string =>
+  path.reduce<string>(
+    (text, key) =>
+      typeof key === "number"
+        ? `${text}[${key}]`
+        : text
+          ? `${text}.${key}`
+          : key,
+    ""
+  ) || "(root)";
+
+// The first mismatch, depth first, or null when the value fits
+const checkSchema = (
+  value: unknown,
+  schema: Schema,
+  path: Array<string | number> = []
+): SchemaMismatch | null => {
+  if (value === null && schema.nullable) return null;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const allowed = schema.enum.map((item) => JSON.stringify(item));
+    return {
+      path,
+      message: `expected one of ${allowed.join(", ")}, got ${JSON.stringify(value)}`,
+    };
+  }
+
+  const actual = describeValue(value);
+  const matchesType =
+    !schema.type ||
+    (schema.type === "integer"
+      ? Number.isInteger(value)
+      : schema.type === actual);
+  if (!matchesType) {
+    return { path, message: `expected ${schema.type}, got ${actual}` };
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (let index = 0; index < value.length; index += 1) {
+      const mismatch = checkSchema(value[index], schema.items, [
+        ...path,
+        index,
+      ]);
+      if (mismatch) return mismatch;
+    }
+  }
+
+  if (actual === "object" && (schema.properties || schema.required)) {
+    const record = value as Record<string, unknown>;
+
+    for (const key of schema.required || []) {
+      if (record[key] === undefined) {
+        return { path: [...path, key], message: "required field is missing" };
+      }
+    }
+
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (record[key] === undefined) continue;
+      const mismatch = checkSchema(record[key], property, [...path, key]);
+      if (mismatch) return mismatch;
+    }
+  }
+
+  return null;
+};
+
+// e.g. pagination Link headers, which point past baseURL
+const ABSOLUTE_URL = /^[a-z][a-z\d+\-.]*:\/\//i;
+
+// `<https://api/items?page=2>; rel="next", <...>; rel="last"` -> { next, last }
+const parseLinkHeader = (header: string | null): Record<string, string> => {
+  const links: Record<string, string> = {};
+  if (!header) return links;
+
+  for (const part of header.split(/,(?=\s*<)/)) {
+    const match = part.match(/<([^>]*)>(.*)/);
+    const rel = match?.[2]?.match(/;\s*rel="?([^";]+)"?/i)?.[1];
+    if (match?.[1] === undefined || !rel) continue;
+
+    rel
+      .trim()
+      .split(/\s+/)
+      .forEach((name) => {
+        links[name.toLowerCase()] = match[1] as string;
+      });
+  }
+
+  return links;
+};
+
+// Reads at most count items and stops the source, so no further page is fetched
+export const collectItems = async <T>(
+  source: AsyncIterable<T>,
+  count: number = Infinity
+): Promise<T[]> => {
+  const items: T[] = [];
+  if (count <= 0) return items;
+
+  for await (const item of source) {
+    items.push(item);
+    if (items.length >= count) break;
+  }
+
+  return items;
+};
+
+const now = () => globalThis.performance?.now() ?? Date.now();
+
+const randomHex = (bytes: number): string =>
+  Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+
+// Callers get their own copy of a cached payload, so changing it can't
+// change the cache. The copy is the raw payload, each caller's validate
+// runs on it after; one that can't be cloned is shared.
+const cloneResponse = <T>(response: HttpResponse<T>): HttpResponse<T> => {
+  try {
+    return { ...response, data: structuredClone(response.data) };
+  } catch {
+    return { ...response };
+  }
+};
+
+interface InflightRequest {
+  promise: Promise<HttpResponse<any>>;
+  subscribers: number;
+}
+
+interface CacheEntry {
+  response: HttpResponse<any>;
+  scope: string; // see RequestInterceptor.cacheScope
+  storedAt: number;
+  etag: string | null;
+  lastModified: string | null;
+}
+
+// scheduler.ts
+const PRIORITY_ORDER: Record<QueuePriority, number> = {
+  high: 0,
+  normal: 1,
+  low: 2,
+};
+
+const FETCH_PRIORITY: Record<QueuePriority, RequestPriority> = {
+  high: "high",
+  normal: "auto",
+  low: "low",
+};
+
+interface QueuedRequest {
+  key: string;
+  origin: string;
+  priority: QueuePriority;
+  sequence: number;
+  start: () => void;
+}
+
+/**
+ * Hands out request slots under a client-wide and a per-origin limit.
+ * Waiting requests start by priority, then in arrival order; a request
+ * blocked by its origin's limit doesn't hold up other origins.
+ */
+class RequestScheduler {
+  private maxRequests: number;
+  private maxPerOrigin: number;
+  private active: number;
+  private activeByOrigin: Map<string, number>;
+  private queue: QueuedRequest[];
+  private sequence: number;
+
+  constructor(config: ConcurrencyConfig = {}) {
+    this.maxRequests = config.maxRequests || Infinity;
+    this.maxPerOrigin = config.maxPerOrigin || Infinity;
+    this.active = 0;
+    this.activeByOrigin = new Map();
+    this.queue = [];
+    this.sequence = 0;
+  }
+
+  // Resolves with the slot's release function, rejects if the signal aborts first
+  public acquire(
+    key: string,
+    origin: string,
+    priority: QueuePriority,
+    signal: AbortSignal
+  ): Promise<() => void> {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const onAbort = () => {
+        this.queue = this.queue.filter((queued) => queued !== entry);
+        reject(createAbortError());
+      };
+      const entry: QueuedRequest = {
+        key,
+        origin,
+        priority,
+        sequence: this.sequence++,
+        start: () => {
+          signal.removeEventListener("abort", onAbort);
+          this.active += 1;
+          this.activeByOrigin.set(
+            origin,
+            (this.activeByOrigin.get(origin) ?? 0) + 1
+          );
+
+          let released = false;
+          resolve(() => {
+            if (released) return;
+            released = true;
+            this.release(origin);
+          });
+        },
+      };
+
+      signal.addEventListener("abort", onAbort, { once: true });
+      this.queue.push(entry);
+      this.drain();
+    });
+  }
+
+  public reprioritize(key: string, priority: QueuePriority): void {
+    this.queue.forEach((entry) => {
+      if (entry.key === key) entry.priority = priority;
+    });
+  }
+
+  private release(origin: string): void {
+    this.active -= 1;
+    const remaining = (this.activeByOrigin.get(origin) ?? 1) - 1;
+    if (remaining > 0) {
+      this.activeByOrigin.set(origin, remaining);
+    } else {
+      this.activeByOrigin.delete(origin);
+    }
+    this.drain();
+  }
+
+  private drain(): void {
+    this.queue.sort(
+      (a, b) =>
+        PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority] ||
+        a.sequence - b.sequence
+    );
+
+    for (const entry of [...this.queue]) {
+      if (this.active >= this.maxRequests) return;
+      if ((this.activeByOrigin.get(entry.origin) ?? 0) >= this.maxPerOrigin) {
+        continue;
+      }
+      this.queue = this.queue.filter((queued) => queued !== entry);
+      entry.start();
+    }
+  }
+}
+
+// Stream parsing
+async function* readChunks(
+  body: ReadableStream<Uint8Array>,
+  total: number | null,
+  onProgress?: (progress: TransferProgress) => void
+): AsyncGenerator<Uint8Array> {
+  const reader = body.getReader();
+  let loaded = 0;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+
+      loaded += value.byteLength;
+      onProgress?.({ loaded, total });
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+async function* decodeText(
+  chunks: AsyncIterable<Uint8Array>
+): AsyncGenerator<string> {
+  const decoder = new TextDecoder();
+
+  for await (const chunk of chunks) {
+    yield decoder.decode(chunk, { stream: true });
+  }
+
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+async function* splitLines(
+  text: AsyncIterable<string>
+): AsyncGenerator<string> {
+  let buffer = "";
+
+  for await (const part of text) {
+    buffer += part;
+    // a trailing "\r" may be the first half of a "\r\n" split across chunks
+    const end = buffer.endsWith("\r") ? buffer.length - 1 : buffer.length;
+    const lines = buffer.slice(0, end).split(/\r\n|\r|\n/);
+    // the last piece may be cut mid-line
+    buffer = (lines.pop() ?? "") + buffer.slice(end);
+
+    for (const line of lines) {
+      yield line;
+    }
+  }
+
+  buffer = buffer.replace(/\r$/, "");
+  if (buffer) yield buffer;
+}
+
+async function* parseNdjson(
+  text: AsyncIterable<string>,
+  config: RequestOptions
+): AsyncGenerator<unknown> {
+  for await (const line of splitLines(text)) {
+    if (!line.trim()) continue;
+
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      throw new ParseError("Invalid response format", {
+        data: line,
+        config,
+        cause: error,
+      });
+    }
+  }
+}
+
+// https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation
+async function* parseServerSentEvents(
+  text: AsyncIterable<string>
+): AsyncGenerator<ServerSentEvent> {
+  let event = "";
+  let data: string[] = [];
+  let id: string | undefined;
+  let retry: number | undefined;
+
+  for await (const line of splitLines(text)) {
+    if (!line) {
+      if (data.length > 0) {
+        yield { event: event || "message", data: data.join("\n"), id, retry };
+      }
+      event = "";
+      data = [];
+      retry = undefined;
+      continue;
+    }
+
+    if (line.startsWith(":")) continue;
+
+    const separator = line.indexOf(":");
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? "" : line.slice(separator + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+    else if (field === "id" && !value.includes("\0")) id = value;
+    else if (field === "retry" && /^\d+$/.test(value)) retry = Number(value);
+  }
+}
+
 // HttpClient.ts
 class HttpClient {
   private baseURL: string;
@@ -148,9 +1070,22 @@ class HttpClient {
   private defaultTimeout: number;
   private defaultCredentials: RequestCredentials;
   private defaultRetry?: RetryConfig;
+  private defaultDedupe: boolean;
   private pendingRequests: Map<string, AbortController>;
+  private inflightRequests: Map<string, InflightRequest>;
+  private defaultCache?: CacheConfig;
+  private responseCache: Map<string, CacheEntry>; // in least recently used order
+  private responseCacheSize: number;
+  private revalidations: Map<string, Promise<HttpResponse<any>>>;
   private requestInterceptors: RequestInterceptor[];
   private responseInterceptors: ResponseInterceptor[];
+  private transport?: Transport;
+  private scheduler: RequestScheduler;
+  private circuitBreaker?: CircuitBreaker;
+  private metrics?: (metrics: RequestMetrics) => void;
+  private tracing?: boolean | TracingConfig;
+  private offlineQueue?: OfflineQueue;
+  private priorityOverrides: Map<string, QueuePriority>;
 
   constructor(config: HttpClientConfig = {}) {
     this.baseURL = config.baseURL || "";
@@ -161,9 +1096,33 @@ class HttpClient {
     this.defaultTimeout = config.timeout || 3000;
     this.defaultCredentials = config.credentials || "same-origin";
     this.defaultRetry = config.retry;
+    this.defaultDedupe = config.dedupe ?? false;
     this.pendingRequests = new Map();
+    this.inflightRequests = new Map();
+    this.defaultCache = config.responseCache;
+    this.responseCache = new Map();
+    this.responseCacheSize = config.responseCacheSize ?? 100;
+    this.revalidations = new Map();
     this.requestInterceptors = [];
     this.responseInterceptors = [];
+    this.transport = config.transport;
+    this.scheduler = new RequestScheduler(config.concurrency);
+    this.priorityOverrides = new Map();
+    this.circuitBreaker = config.circuitBreaker;
+    this.metrics = config.metrics;
+    this.tracing = config.tracing;
+    this.offlineQueue = config.offlineQueue;
+
+    this.offlineQueue?.attach((entry) =>
+      this.request(entry.url, {
+        method: entry.method,
+        params: entry.params,
+        headers: entry.headers,
+        body: entry.body ?? undefined,
+        idempotent: true, // the Idempotency-Key makes a repeat safe
+        queueOffline: false,
+      })
+    );
   }
 
   public addRequestInterceptor(interceptor: RequestInterceptor): () => void {
@@ -195,34 +1154,56 @@ class HttpClient {
     }
   }
 
+  // Reorders a request that hasn't reached the network yet, no-op afterwards
+  public setRequestPriority(requestKey: string, priority: QueuePriority): void {
+    if (!this.pendingRequests.has(requestKey)) return;
+
+    // the request may still be in its interceptors, not queued yet
+    this.priorityOverrides.set(requestKey, priority);
+    this.scheduler.reprioritize(requestKey, priority);
+  }
+
   public cancelAllRequests(): void {
     this.pendingRequests.forEach((controller) => controller.abort());
     this.pendingRequests.clear();
   }
 
+  public clearCache(cacheKey?: string): void {
+    if (cacheKey) {
+      this.responseCache.delete(cacheKey);
+    } else {
+      this.responseCache.clear();
+    }
+  }
+
   public getRequestKey(url: string, options: RequestOptions = {}): string {
     return this.createRequestKey(url, options);
   }
 
+  // the caller's headers (Accept, Authorization...) can change the response,
+  // the default ones are the same for every request
   private createRequestKey(url: string, options: RequestOptions = {}): string {
-    return `${options.method || "GET"}-${url}-${options.credentials || this.defaultCredentials}-${JSON.stringify(options.body || "")}`;
+    const headers = [...new Headers(options.headers)]
+      .map(([name, value]) => `${name}:${value}`)
+      .join(",");
+
+    return `${options.method || "GET"}-${this.createURLWithParams(url, options.params)}-${options.credentials || this.defaultCredentials}-${headers}-${getBodyKey(options.body)}`;
   }
 
-  private createURLWithParams(
-    url: string,
-    params?: Record<string, string | number | boolean>
-  ): string {
+  private createURLWithParams(url: string, params?: QueryParams): string {
     if (!params) return url;
 
     const searchParams = new URLSearchParams();
-    Object.entries(params).forEach(([key, value]) => {
-      if (
-        value !== undefined &&
-        value !== null &&
-        String(value).trim() !== ""
-      ) {
-        searchParams.append(key, String(value));
-      }
+    Object.entries(params).forEach(([key, values]) => {
+      [values].flat().forEach((value) => {
+        if (
+          value !== undefined &&
+          value !== null &&
+          String(value).trim() !== ""
+        ) {
+          searchParams.append(key, String(value));
+        }
+      });
     });
     const queryString = searchParams.toString();
 
@@ -231,36 +1212,155 @@ class HttpClient {
       : url;
   }
 
-  private async delay(ms: number): Promise<void> {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  private releasePendingRequest(
+    requestKey: string,
+    controller: AbortController
+  ): void {
+    if (this.pendingRequests.get(requestKey) === controller) {
+      this.pendingRequests.delete(requestKey);
+    }
+  }
+
+  private serializeBody(data: unknown): BodyInit | undefined {
+    if (data === undefined || data === null) return undefined;
+    return isRawBody(data) ? data : JSON.stringify(data);
+  }
+
+  // A caller's own copy of a cached or shared response, validated
+  private validateResponse<T>(
+    response: HttpResponse<T>,
+    validate?: Validator<T>
+  ): HttpResponse<T> {
+    if (!validate) return response;
+    return {
+      ...response,
+      data: this.validateData(response.data, validate, response),
+    };
+  }
+
+  /**
+   * Runs the request's validator over the payload. Parsers may return a
+   * transformed value, which replaces `data`; a parser error with a `path`
+   * (or zod-style `issues[0].path`) keeps it on the ValidationError.
+   */
+  private validateData<T>(
+    data: unknown,
+    validate: Validator<T>,
+    response: HttpResponse<T>
+  ): T {
+    const fail = (
+      path: Array<string | number>,
+      reason: string,
+      cause?: unknown
+    ) =>
+      new ValidationError(
+        `Invalid response at ${formatPath(path)}: ${reason}`,
+        {
+          path,
+          status: response.status,
+          data,
+          headers: response.headers,
+          config: response.config,
+          cause,
+        }
+      );
+
+    if (typeof validate !== "function") {
+      const mismatch = checkSchema(data, validate);
+      if (mismatch) throw fail(mismatch.path, mismatch.message);
+      return data as T;
+    }
+
+    try {
+      return validate(data);
+    } catch (error) {
+      // a parser may throw its own typed error, e.g. GraphQLError
+      if (error instanceof HttpRequestError) throw error;
+
+      const details = error as {
+        path?: Array<string | number>;
+        issues?: Array<{ path?: Array<string | number> }>;
+        message?: string;
+      };
+      throw fail(
+        details?.path || details?.issues?.[0]?.path || [],
+        details?.message || String(error),
+        error
+      );
+    }
+  }
+
+  private async delay(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
   }
 
-  private async retryRequest<T>(
-    url: string,
-    options: RequestOptions,
+  /**
+   * Returns how long to wait before the given retry, or null when the
+   * request should not be retried at all.
+   */
+  private getRetryDelay(
     error: HttpRequestError,
-    retryCount: number,
-    retryConfig: RetryConfig
-  ): Promise<HttpResponse<T>> {
-    if (retryCount <= 0) throw error;
+    attempt: number,
+    retryConfig: RetryConfig,
+    options: RequestOptions
+  ): number | null {
+    if (attempt > retryConfig.count) return null;
+
+    const method = (options.method || "GET").toUpperCase();
+    if (!(options.idempotent ?? IDEMPOTENT_METHODS.includes(method))) {
+      return null;
+    }
 
     const shouldRetry =
       retryConfig.shouldRetry?.(error) ??
-      (error.status ? error.status >= 500 : true);
+      (error instanceof HttpError
+        ? error.status >= 500 || error.status === 429
+        : error instanceof TimeoutError || error instanceof NetworkError);
+
+    if (!shouldRetry) return null;
 
-    if (!shouldRetry) throw error;
+    const maxDelay = retryConfig.maxDelay ?? Infinity;
+    const retryAfter = this.getRetryAfter(error);
 
-    if (retryConfig.delay) {
-      await this.delay(retryConfig.delay);
+    // Waiting less than the server asked for would only earn another 429/503
+    if (retryAfter !== null) {
+      return retryAfter <= maxDelay ? retryAfter : null;
     }
 
-    return this.request<T>(url, {
-      ...options,
-      retry: {
-        ...retryConfig,
-        count: retryCount - 1,
-      },
-    });
+    const baseDelay = retryConfig.delay ?? DEFAULT_RETRY_DELAY;
+    const backoffDelay = Math.min(
+      retryConfig.backoff === "fixed"
+        ? baseDelay
+        : baseDelay * 2 ** (attempt - 1),
+      maxDelay
+    );
+
+    return retryConfig.jitter === false
+      ? backoffDelay
+      : backoffDelay / 2 + (Math.random() * backoffDelay) / 2;
+  }
+
+  private getRetryAfter(error: HttpRequestError): number | null {
+    if (error.status !== 429 && error.status !== 503) return null;
+
+    const value = error.headers?.get("retry-after");
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
   }
 
   private async handleResponse<T>(
@@ -280,13 +1380,14 @@ class HttpClient {
         }
       }
 
-      if (!response.ok) {
-        throw {
-          message: `HTTP error! status: ${response.status}`,
+      // 304 only comes back for our own conditional requests, see revalidate
+      if (!response.ok && response.status !== 304) {
+        throw new HttpError(`HTTP error! status: ${response.status}`, {
           status: response.status,
           data,
           config,
-        } as HttpRequestError;
+          headers: response.headers,
+        });
       }
 
       return {
@@ -297,13 +1398,13 @@ class HttpClient {
       };
     } catch (error) {
       if (error instanceof Error && error.name === "SyntaxError") {
-        throw {
-          message: "Invalid response format",
+        throw new ParseError("Invalid response format", {
           status: response.status,
           data: null,
           config,
+          headers: response.headers,
           cause: error,
-        } as HttpRequestError;
+        });
       }
       throw error;
     }
@@ -322,7 +1423,7 @@ class HttpClient {
       } catch (error) {
         for (const interceptor of this.requestInterceptors) {
           if (interceptor.onRequestError) {
-            await interceptor.onRequestError(error);
+            await interceptor.onRequestError(error as HttpRequestError);
           }
         }
         throw error;
@@ -357,32 +1458,548 @@ class HttpClient {
 
   public async request<T = any>(
     url: string,
-    options: RequestOptions = {}
+    options: RequestOptions<T> = {}
   ): Promise<HttpResponse<T>> {
-    const controller = new AbortController();
+    if (this.offlineQueue && this.isQueueable(options)) {
+      return this.requestQueueable<T>(url, options, this.offlineQueue);
+    }
+
     const requestKey = this.createRequestKey(url, options);
-    const retryConfig = options.retry || this.defaultRetry;
+    const cacheConfig = this.resolveCacheConfig(options);
+    // the cache and a shared call keep the raw payload, each caller's
+    // validator runs on what it gets back
+    const { validate } = options;
+    const unvalidated = { ...options, validate: undefined };
 
-    const timeoutId = setTimeout(() => {
-      controller.abort();
-      this.pendingRequests.delete(requestKey);
-    }, options.timeout || this.defaultTimeout);
+    if (cacheConfig) {
+      // the revalidation is shared, a caller's signal only stops its own wait
+      const response = await this.raceSignals(
+        this.requestCached<T>(
+          url,
+          { ...unvalidated, signal: undefined },
+          requestKey,
+          cacheConfig
+        ),
+        options
+      );
+      return this.validateResponse(response, validate);
+    }
+
+    if (options.dedupe ?? this.defaultDedupe) {
+      const response = await this.requestShared<T>(
+        url,
+        unvalidated,
+        requestKey
+      );
+      return this.validateResponse(response, validate);
+    }
+
+    return this.dispatch<T>(url, options, options.requestId || requestKey);
+  }
+
+  private raceSignals<T>(
+    promise: Promise<T>,
+    options: RequestOptions
+  ): Promise<T> {
+    if (!options.signal) return promise;
+
+    const controller = new AbortController();
+
+    return new Promise<T>((resolve, reject) => {
+      controller.signal.addEventListener(
+        "abort",
+        () => reject(this.createAbortError(controller.signal.reason, options)),
+        { once: true }
+      );
+      const unlinkSignals = linkSignals(options.signal, controller);
+
+      promise.then(resolve, reject).finally(unlinkSignals);
+    });
+  }
+
+  // Only what the queue can store and send again later
+  private isQueueable(options: RequestOptions): boolean {
+    const method = (options.method || "GET").toUpperCase();
+
+    return (
+      options.queueOffline !== false &&
+      !["GET", "HEAD", "OPTIONS"].includes(method) &&
+      (options.body == null || typeof options.body === "string")
+    );
+  }
+
+  /**
+   * Sends a mutation with an Idempotency-Key, or queues it when offline,
+   * while older entries wait in the queue, or when it fails with
+   * NetworkError. Queued requests reject with QueuedError, the replay
+   * happens later without the caller.
+   */
+  private async requestQueueable<T>(
+    url: string,
+    options: RequestOptions<T>,
+    queue: OfflineQueue
+  ): Promise<HttpResponse<T>> {
+    const headers = { ...(options.headers as Record<string, string>) };
+    const keyHeader = Object.keys(headers).find(
+      (name) => name.toLowerCase() === "idempotency-key"
+    );
+    const idempotencyKey = (keyHeader && headers[keyHeader]) || randomHex(16);
+    if (!keyHeader) headers["Idempotency-Key"] = idempotencyKey;
+
+    const enqueue = async (
+      cause?: unknown,
+      message = "Offline, the request will be sent later"
+    ) => {
+      const entry = await queue.enqueue({
+        method: (options.method || "GET").toUpperCase(),
+        url,
+        params: options.params,
+        headers,
+        body: (options.body as string | null | undefined) ?? null,
+        idempotencyKey,
+      });
+
+      return new QueuedError(message, { config: options, cause, entry });
+    };
+
+    if (!queue.isOnline()) throw await enqueue();
+
+    // sent now, it would reach the server before the older queued mutations
+    if (await queue.hasPending()) {
+      const error = await enqueue(
+        undefined,
+        "Earlier requests are still queued, this one will be sent after them"
+      );
+      queue.replay();
+      throw error;
+    }
+
+    try {
+      return await this.request<T>(url, {
+        ...options,
+        headers,
+        queueOffline: false,
+      });
+    } catch (error) {
+      if (error instanceof NetworkError) throw await enqueue(error);
+      throw error;
+    }
+  }
+
+  private resolveCacheConfig(options: RequestOptions): CacheConfig | null {
+    const method = (options.method || "GET").toUpperCase();
+
+    if (method !== "GET" || options.responseCache === false) return null;
+    if (!options.responseCache && !this.defaultCache) return null;
+
+    return { ...this.defaultCache, ...options.responseCache };
+  }
+
+  // Scopes of every request interceptor, e.g. the bearer token auth sends
+  private async getCacheScope(): Promise<string> {
+    const scopes = await Promise.all(
+      this.requestInterceptors.map(
+        (interceptor) => interceptor.cacheScope?.() ?? null
+      )
+    );
+    return JSON.stringify(scopes);
+  }
+
+  // An entry fetched as somebody else, e.g. before a logout, is a miss
+  private getCacheEntry(cacheKey: string, scope: string): CacheEntry | null {
+    const entry = this.responseCache.get(cacheKey);
+    if (entry?.scope !== scope) return null;
+
+    this.responseCache.delete(cacheKey);
+    this.responseCache.set(cacheKey, entry);
+    return entry;
+  }
+
+  // One entry per distinct URL and query adds up in a long-lived client
+  private setCacheEntry(cacheKey: string, entry: CacheEntry): void {
+    this.responseCache.delete(cacheKey);
+    this.responseCache.set(cacheKey, entry);
+
+    for (const key of this.responseCache.keys()) {
+      if (this.responseCache.size <= this.responseCacheSize) break;
+      this.responseCache.delete(key);
+    }
+  }
+
+  private async requestCached<T>(
+    url: string,
+    options: RequestOptions,
+    requestKey: string,
+    cacheConfig: CacheConfig
+  ): Promise<HttpResponse<T>> {
+    const cacheKey = cacheConfig.key || requestKey;
+    const scope = await this.getCacheScope();
+    const entry = this.getCacheEntry(cacheKey, scope);
+    const maxAge = cacheConfig.maxAge ?? 0;
+    const staleWhileRevalidate = cacheConfig.staleWhileRevalidate ?? 0;
+    const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+    if (entry && age < maxAge) {
+      this.emitMetrics(
+        this.createDispatchContext(url, options),
+        0,
+        { response: entry.response },
+        true
+      );
+      return cloneResponse(entry.response);
+    }
+
+    if (entry && age < maxAge + staleWhileRevalidate) {
+      this.emitMetrics(
+        this.createDispatchContext(url, options),
+        0,
+        { response: entry.response },
+        true
+      );
+      // Serve stale now, refresh in the background; a failed refresh keeps the stale entry
+      this.revalidate(url, options, requestKey, cacheKey, scope).catch(
+        () => {}
+      );
+      return cloneResponse(entry.response);
+    }
+
+    return cloneResponse(
+      await this.revalidate<T>(url, options, requestKey, cacheKey, scope)
+    );
+  }
+
+  /**
+   * Fetches a cacheable request, sending If-None-Match / If-Modified-Since
+   * when we hold a validator, and turns a 304 into the cached response.
+   * Concurrent revalidations of one cache key share a single call.
+   */
+  private revalidate<T>(
+    url: string,
+    options: RequestOptions,
+    requestKey: string,
+    cacheKey: string,
+    scope: string
+  ): Promise<HttpResponse<T>> {
+    const revalidationKey = `${scope}-${cacheKey}`;
+    const existing = this.revalidations.get(revalidationKey);
+    if (existing) return existing;
+
+    const entry = this.getCacheEntry(cacheKey, scope);
+    const conditionalHeaders: Record<string, string> = {};
+
+    if (entry?.etag) conditionalHeaders["If-None-Match"] = entry.etag;
+    if (entry?.lastModified) {
+      conditionalHeaders["If-Modified-Since"] = entry.lastModified;
+    }
+
+    const promise = this.dispatch<T>(
+      url,
+      {
+        ...options,
+        headers: { ...conditionalHeaders, ...options.headers },
+        responseCache: false,
+      },
+      options.requestId || requestKey
+    )
+      .then((response) => {
+        const result =
+          response.status === 304 && entry ? entry.response : response;
+
+        if (result.status >= 200 && result.status < 300) {
+          this.setCacheEntry(cacheKey, {
+            response: result,
+            scope,
+            storedAt: Date.now(),
+            etag: result.headers.get("etag"),
+            lastModified: result.headers.get("last-modified"),
+          });
+        }
+
+        return result;
+      })
+      .finally(() => {
+        this.revalidations.delete(revalidationKey);
+      });
+
+    this.revalidations.set(revalidationKey, promise);
+    return promise;
+  }
+
+  /**
+   * Callers with the same request key subscribe to one in-flight call.
+   * Each caller can be cancelled on its own through its requestId; the
+   * shared call is only aborted once every subscriber has gone away.
+   */
+  private requestShared<T>(
+    url: string,
+    options: RequestOptions,
+    requestKey: string
+  ): Promise<HttpResponse<T>> {
+    let inflight = this.inflightRequests.get(requestKey);
+
+    if (!inflight) {
+      const entry: InflightRequest = {
+        subscribers: 0,
+        promise: this.dispatch<T>(
+          url,
+          { ...options, requestId: undefined, signal: undefined },
+          requestKey
+        ).finally(() => {
+          if (this.inflightRequests.get(requestKey) === entry) {
+            this.inflightRequests.delete(requestKey);
+          }
+        }),
+      };
+      this.inflightRequests.set(requestKey, entry);
+      inflight = entry;
+    }
+
+    const shared = inflight;
+    const subscriber = new AbortController();
+    const subscriberKey = options.requestId;
+    shared.subscribers += 1;
+
+    if (subscriberKey) {
+      this.pendingRequests.set(subscriberKey, subscriber);
+    }
+
+    return new Promise<HttpResponse<T>>((resolve, reject) => {
+      const onAbort = () => {
+        shared.subscribers -= 1;
+        if (
+          shared.subscribers <= 0 &&
+          this.inflightRequests.get(requestKey) === shared
+        ) {
+          this.inflightRequests.delete(requestKey);
+          this.cancelRequest(requestKey);
+        }
+        reject(this.createAbortError(subscriber.signal.reason, options));
+      };
+
+      subscriber.signal.addEventListener("abort", onAbort, { once: true });
+      const unlinkSignals = linkSignals(options.signal, subscriber);
+
+      shared.promise.then(resolve, reject).finally(() => {
+        unlinkSignals();
+        subscriber.signal.removeEventListener("abort", onAbort);
+        if (subscriberKey) {
+          this.releasePendingRequest(subscriberKey, subscriber);
+        }
+      });
+    });
+  }
+
+  /**
+   * Runs a request until it succeeds or its retry policy gives up. The
+   * controller registered under requestKey stays the same across attempts,
+   * so cancelRequest also stops a pending backoff.
+   */
+  private async dispatch<T>(
+    url: string,
+    options: RequestOptions,
+    requestKey: string,
+    {
+      stream = false,
+      controller = new AbortController(),
+      transport,
+    }: DispatchOptions = {}
+  ): Promise<HttpResponse<T>> {
+    // request interceptors may attach a retry policy, see createRetryInterceptor
+    const context = this.createDispatchContext(url, options);
+    let retries = 0;
+    let outcome: { response?: HttpResponse<T>; error?: unknown } = {};
+    // a stream links the caller's signals itself, they outlive this call
+    const unlinkSignals = stream
+      ? () => {}
+      : linkSignals(options.signal, controller);
+
+    this.pendingRequests.set(requestKey, controller);
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          outcome.response = await this.attempt<T>(
+            url,
+            context,
+            controller.signal,
+            requestKey,
+            { stream, transport }
+          );
+          return outcome.response;
+        } catch (error) {
+          const httpError = error as HttpRequestError;
+          const retryConfig = context.config.retry || this.defaultRetry;
+          const retryDelay =
+            retryConfig && !controller.signal.aborted
+              ? this.getRetryDelay(httpError, attempt, retryConfig, options)
+              : null;
+
+          if (!retryConfig || retryDelay === null) throw error;
+
+          retryConfig.onRetry?.({
+            attempt,
+            count: retryConfig.count,
+            delay: retryDelay,
+            error: httpError,
+          });
+
+          retries += 1;
+          await this.delay(retryDelay, controller.signal);
+        }
+      }
+    } catch (caught) {
+      // an abort during the retry backoff surfaces as a bare DOMException
+      let error =
+        controller.signal.aborted && !(caught instanceof HttpRequestError)
+          ? this.createAbortError(controller.signal.reason, options)
+          : caught;
+      const httpError = error as HttpRequestError;
+
+      // Handle errors through response interceptors
+      for (const interceptor of this.responseInterceptors) {
+        if (interceptor.onResponseError) {
+          try {
+            outcome = {
+              response: (await interceptor.onResponseError(
+                httpError
+              )) as HttpResponse<T>,
+            };
+            return outcome.response as HttpResponse<T>;
+          } catch (interceptorError) {
+            error = interceptorError;
+          }
+        }
+      }
+
+      outcome = { error };
+      throw error;
+    } finally {
+      this.emitMetrics(context, retries, outcome);
+      unlinkSignals();
+      this.priorityOverrides.delete(requestKey);
+      if (!stream) {
+        this.releasePendingRequest(requestKey, controller);
+      }
+    }
+  }
+
+  private createDispatchContext(
+    url: string,
+    options: RequestOptions
+  ): DispatchContext {
+    return {
+      config: { ...options, url },
+      startedAt: now(),
+      queued: 0,
+      headersAt: null,
+      traceId: null,
+      spanId: null,
+    };
+  }
+
+  private emitMetrics(
+    context: DispatchContext,
+    retries: number,
+    { response, error }: { response?: HttpResponse<unknown>; error?: unknown },
+    fromCache = false
+  ): void {
+    if (!this.metrics) return;
+
+    const status =
+      response?.status ??
+      (error instanceof HttpRequestError ? error.status ?? null : null);
+    const headers =
+      response?.headers ??
+      (error instanceof HttpRequestError ? error.headers : undefined);
+    const bytes = headers?.get("content-length");
+
+    try {
+      this.metrics({
+        method: (context.config.method || "GET").toUpperCase(),
+        url: context.config.url || "",
+        status,
+        error: error instanceof Error ? error.name : error ? "Error" : null,
+        queued: context.queued,
+        timeToHeaders:
+          context.headersAt === null
+            ? null
+            : context.headersAt - context.startedAt,
+        total: now() - context.startedAt,
+        retries,
+        cacheHit: fromCache || status === 304,
+        bytes: bytes ? Number(bytes) : null,
+        traceId: context.traceId,
+        spanId: context.spanId,
+      });
+    } catch (sinkError) {
+      // a broken sink must not break the request it reports on
+      console.error("HttpClient metrics sink error:", sinkError);
+    }
+  }
+
+  private createTraceHeaders(context: DispatchContext): Record<string, string> {
+    if (!this.tracing) return {};
+
+    const tracing = this.tracing === true ? {} : this.tracing;
+    context.traceId =
+      context.traceId || tracing.getTraceId?.() || randomHex(16);
+    // every attempt is its own span
+    context.spanId = randomHex(8);
+
+    const headers: Record<string, string> = {
+      traceparent: `00-${context.traceId}-${context.spanId}-${
+        tracing.sampled === false ? "00" : "01"
+      }`,
+    };
+    if (tracing.tracestate) headers.tracestate = tracing.tracestate;
+
+    return headers;
+  }
+
+  private async attempt<T>(
+    url: string,
+    context: DispatchContext,
+    signal: AbortSignal,
+    requestKey: string,
+    { stream = false, transport = this.transport }: DispatchOptions
+  ): Promise<HttpResponse<T>> {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    // a streamed body is still being read after we return
+    let keepSignalLinked = false;
+    let releaseSlot = () => {};
+    let reportOutcome: (error?: unknown) => void = () => {};
+    let timeoutId: ReturnType<typeof setTimeout> | undefined;
+    let timedOut = false;
+
+    signal.addEventListener("abort", abort, { once: true });
+    if (signal.aborted) abort();
 
     try {
-      const interceptedOptions = await this.applyRequestInterceptors(options);
+      const interceptedOptions = await this.applyRequestInterceptors(
+        context.config
+      );
+      context.config = interceptedOptions;
 
       const fullUrl = this.createURLWithParams(
-        `${this.baseURL}${url}`,
+        ABSOLUTE_URL.test(url) ? url : `${this.baseURL}${url}`,
         interceptedOptions.params
       );
 
+      const defaultHeaders = { ...this.defaultHeaders };
+      if (isRawBody(interceptedOptions.body)) {
+        delete defaultHeaders["Content-Type"];
+      }
+
       const fetchOptions: RequestInit = {
         ...interceptedOptions,
         headers: {
-          ...this.defaultHeaders,
+          ...defaultHeaders,
+          ...this.createTraceHeaders(context),
           ...interceptedOptions.headers,
         },
         credentials: interceptedOptions.credentials || this.defaultCredentials,
+        priority: FETCH_PRIORITY[interceptedOptions.priority || "normal"],
         signal: controller.signal,
       };
 
@@ -390,59 +2007,262 @@ class HttpClient {
         delete fetchOptions.body;
       }
 
-      const response = await fetch(fullUrl, fetchOptions);
+      const origin = new URL(
+        fullUrl,
+        globalThis.location?.href ?? "http://localhost"
+      ).origin;
+
+      // throws CircuitOpenError before the request can queue or hit the network
+      if (this.circuitBreaker) {
+        reportOutcome = this.circuitBreaker.acquire(origin);
+      }
+
+      // the timeout only starts once the request leaves the queue
+      const timeout = interceptedOptions.timeout || this.defaultTimeout;
+      let response: Response;
+      try {
+        const queuedAt = now();
+        releaseSlot = await this.scheduler.acquire(
+          requestKey,
+          origin,
+          this.priorityOverrides.get(requestKey) ||
+            interceptedOptions.priority ||
+            "normal",
+          controller.signal
+        );
+        context.queued += now() - queuedAt;
+
+        timeoutId = setTimeout(() => {
+          timedOut = true;
+          abort();
+        }, timeout);
+
+        response = await (transport || fetch)(fullUrl, fetchOptions);
+        context.headersAt = now();
+      } catch (error) {
+        throw this.createTransportError(
+          error,
+          interceptedOptions,
+          timedOut ? timeout : null,
+          signal
+        );
+      }
 
       clearTimeout(timeoutId);
-      this.pendingRequests.delete(requestKey);
 
-      const handledResponse = await this.handleResponse<T>(
-        response,
-        interceptedOptions
-      );
+      // error bodies are small, buffer them so streams fail like requests
+      const handledResponse =
+        stream && response.ok
+          ? {
+              data: response.body as T | null,
+              status: response.status,
+              headers: response.headers,
+              config: interceptedOptions,
+            }
+          : await this.handleResponse<T>(response, interceptedOptions);
+      reportOutcome();
+
+      // a 304 has no body, revalidate swaps in the cached response, which
+      // went through the interceptors and the validator when it was stored
+      const notModified = handledResponse.status === 304;
+      const interceptedResponse = notModified
+        ? handledResponse
+        : await this.applyResponseInterceptors(handledResponse);
+      if (interceptedOptions.validate && !stream && !notModified) {
+        interceptedResponse.data = this.validateData(
+          interceptedResponse.data,
+          interceptedOptions.validate,
+          interceptedResponse
+        );
+      }
+      keepSignalLinked = stream;
 
-      return await this.applyResponseInterceptors(handledResponse);
+      return interceptedResponse;
     } catch (error) {
+      reportOutcome(error);
+      throw error;
+    } finally {
       clearTimeout(timeoutId);
-      this.pendingRequests.delete(requestKey);
+      // a stream gives its slot back once the headers are in
+      releaseSlot();
+      if (!keepSignalLinked) {
+        signal.removeEventListener("abort", abort);
+      }
+    }
+  }
 
-      const httpError = error as HttpRequestError;
+  // Both a timeout and a cancel reject fetch with a DOMException AbortError
+  private createTransportError(
+    error: unknown,
+    config: RequestOptions,
+    timedOutAfter: number | null,
+    signal: AbortSignal
+  ): HttpRequestError {
+    if (error instanceof HttpRequestError) return error;
 
-      // Handle retry if configured
-      if (retryConfig && retryConfig.count > 0) {
-        return this.retryRequest(
-          url,
-          options,
-          httpError,
-          retryConfig.count,
-          retryConfig
-        );
+    if (timedOutAfter !== null) {
+      return new TimeoutError(`Request timed out after ${timedOutAfter}ms`, {
+        config,
+        cause: error,
+      });
+    }
+    if (signal.aborted) {
+      return this.createAbortError(signal.reason, config);
+    }
+    if (error instanceof Error && error.name === "AbortError") {
+      return new AbortError("Request was cancelled", { config, cause: error });
+    }
+    return new NetworkError(
+      error instanceof Error ? error.message : "Network request failed",
+      { config, cause: error }
+    );
+  }
+
+  // A caller's AbortSignal.timeout() is still a timeout
+  private createAbortError(
+    reason: unknown,
+    config: RequestOptions
+  ): HttpRequestError {
+    if (reason instanceof HttpRequestError) return reason;
+
+    if (reason instanceof Error && reason.name === "TimeoutError") {
+      return new TimeoutError("Request timed out", { config, cause: reason });
+    }
+    return new AbortError("Request was cancelled", { config, cause: reason });
+  }
+
+  /**
+   * Walks a paginated endpoint page by page and yields its items. Pages are
+   * only requested as the loop asks for more, so breaking out early (or
+   * collectItems) never fetches a page too many; options.signal aborts the
+   * page in flight.
+   */
+  public async *paginate<T = any>(
+    url: string,
+    strategy: PaginationStrategy<T>,
+    options: Omit<RequestOptions, "method" | "body"> = {}
+  ): AsyncGenerator<T> {
+    const getItems = strategy.getItems || ((data: any) => (data ?? []) as T[]);
+    const maxPages = strategy.maxPages ?? Infinity;
+    let nextUrl: string | null = url;
+    let params = { ...options.params };
+
+    if (strategy.type === "offset") {
+      params[strategy.offsetParam || "offset"] = strategy.startOffset ?? 0;
+      params[strategy.limitParam || "limit"] = strategy.limit;
+    }
+
+    for (let page = 0; nextUrl && page < maxPages; page++) {
+      const response: HttpResponse<any> = await this.get(nextUrl, {
+        ...options,
+        params,
+      });
+      const items = getItems(response.data);
+
+      for (const item of items) {
+        yield item;
       }
 
-      // Handle errors through response interceptors
-      for (const interceptor of this.responseInterceptors) {
-        if (interceptor.onResponseError) {
-          try {
-            return await interceptor.onResponseError(httpError);
-          } catch (interceptorError) {
-            error = interceptorError;
-          }
-        }
+      if (strategy.type === "offset") {
+        const offsetParam = strategy.offsetParam || "offset";
+        if (items.length < strategy.limit) return;
+        params = {
+          ...params,
+          [offsetParam]: Number(params[offsetParam]) + items.length,
+        };
+      } else if (strategy.type === "cursor") {
+        const cursor = strategy.getCursor(response.data, response);
+        if (!cursor) return;
+        params = { ...params, [strategy.cursorParam || "cursor"]: cursor };
+      } else {
+        const next = parseLinkHeader(response.headers.get("link")).next;
+        if (!next) return;
+        // the next link carries its own query, relative links resolve against this page
+        nextUrl = new URL(
+          next,
+          new URL(
+            ABSOLUTE_URL.test(nextUrl) ? nextUrl : `${this.baseURL}${nextUrl}`,
+            globalThis.location?.href ?? "http://localhost"
+          )
+        ).href;
+        params = {};
       }
+    }
+  }
 
-      if (error instanceof Error && error.name === "AbortError") {
-        throw {
-          message: "Request was cancelled",
-          config: options,
-          cause: error,
-        } as HttpRequestError;
+  /**
+   * Streams a response body as parsed NDJSON values, Server-Sent Events or
+   * raw chunks. The request goes through interceptors, retry and timeout
+   * like any other; the timeout only covers the wait for headers, and
+   * cancelRequest or leaving the loop early aborts the download.
+   */
+  public stream(
+    url: string,
+    options: StreamOptions & { format: "sse" }
+  ): AsyncGenerator<ServerSentEvent>;
+  public stream(
+    url: string,
+    options: StreamOptions & { format: "bytes" }
+  ): AsyncGenerator<Uint8Array>;
+  public stream<T = any>(
+    url: string,
+    options?: StreamOptions
+  ): AsyncGenerator<T>;
+  public async *stream(
+    url: string,
+    options: StreamOptions = {}
+  ): AsyncGenerator<unknown> {
+    const { format, onProgress, ...requestOptions } = options;
+    const requestKey =
+      requestOptions.requestId || this.createRequestKey(url, requestOptions);
+    const controller = new AbortController();
+    const unlinkSignals = linkSignals(requestOptions.signal, controller);
+
+    try {
+      const response = await this.dispatch<ReadableStream<Uint8Array>>(
+        url,
+        requestOptions,
+        requestKey,
+        { stream: true, controller }
+      );
+
+      if (!response.data) return;
+
+      const contentLength = response.headers.get("content-length");
+      const chunks = readChunks(
+        response.data,
+        contentLength ? Number(contentLength) : null,
+        onProgress
+      );
+      const streamFormat =
+        format ||
+        (response.headers.get("content-type")?.includes("text/event-stream")
+          ? "sse"
+          : "ndjson");
+
+      if (streamFormat === "bytes") {
+        yield* chunks;
+      } else if (streamFormat === "sse") {
+        yield* parseServerSentEvents(decodeText(chunks));
+      } else {
+        yield* parseNdjson(decodeText(chunks), requestOptions);
+      }
+    } catch (error) {
+      if (controller.signal.aborted && !(error instanceof HttpRequestError)) {
+        throw this.createAbortError(controller.signal.reason, requestOptions);
       }
       throw error;
+    } finally {
+      unlinkSignals();
+      // no-op once the body is done, cancels the download on an early exit
+      controller.abort();
+      this.releasePendingRequest(requestKey, controller);
     }
   }
 
   public async get<T = any>(
     url: string,
-    options: Omit<RequestOptions, "method" | "body"> = {}
+    options: Omit<RequestOptions<T>, "method" | "body"> = {}
   ): Promise<HttpResponse<T>> {
     return this.request<T>(url, { ...options, method: "GET" });
   }
@@ -450,30 +2270,71 @@ class HttpClient {
   public async post<T = any, D = any>(
     url: string,
     data?: D,
-    options: Omit<RequestOptions, "method" | "body"> = {}
+    options: Omit<RequestOptions<T>, "method" | "body"> = {}
   ): Promise<HttpResponse<T>> {
     return this.request<T>(url, {
       ...options,
       method: "POST",
-      body: data ? JSON.stringify(data) : undefined,
+      body: this.serializeBody(data),
     });
   }
 
   public async put<T = any, D = any>(
     url: string,
     data?: D,
-    options: Omit<RequestOptions, "method" | "body"> = {}
+    options: Omit<RequestOptions<T>, "method" | "body"> = {}
   ): Promise<HttpResponse<T>> {
     return this.request<T>(url, {
       ...options,
       method: "PUT",
-      body: data ? JSON.stringify(data) : undefined,
+      body: this.serializeBody(data),
+    });
+  }
+
+  /**
+   * Sends FormData, a Blob or any other raw body through XMLHttpRequest so
+   * upload progress can be reported. Cancel it with cancelRequest, using
+   * options.requestId or getRequestKey(url, { method, body }).
+   */
+  public async upload<T = any>(
+    url: string,
+    body: BodyInit,
+    { onUploadProgress, ...options }: UploadOptions = {}
+  ): Promise<HttpResponse<T>> {
+    const { transport } = this;
+    const uploadOptions: RequestOptions = {
+      ...options,
+      method: options.method || "POST",
+      body,
+    };
+
+    return this.dispatch<T>(
+      url,
+      uploadOptions,
+      uploadOptions.requestId || this.createRequestKey(url, uploadOptions),
+      {
+        transport: transport
+          ? (url, init) => transport(url, init, { onUploadProgress })
+          : createXHRTransport(onUploadProgress),
+      }
+    );
+  }
+
+  public async patch<T = any, D = any>(
+    url: string,
+    data?: D,
+    options: Omit<RequestOptions<T>, "method" | "body"> = {}
+  ): Promise<HttpResponse<T>> {
+    return this.request<T>(url, {
+      ...options,
+      method: "PATCH",
+      body: this.serializeBody(data),
     });
   }
 
   public async delete<T = any>(
     url: string,
-    options: Omit<RequestOptions, "method" | "body"> = {}
+    options: Omit<RequestOptions<T>, "method" | "body"> = {}
   ): Promise<HttpResponse<T>> {
     return this.request<T>(url, { ...options, method: "DELETE" });
   }
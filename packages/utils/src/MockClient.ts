@@ -0,0 +1,11 @@
+// MockClient.ts
+import HttpClient from "./HttpClient";
+import type { HttpClientConfig } from "./HttpClient";
+import MockTransport from "./MockTransport";
+
+// An HttpClient sending through a fresh MockTransport, for the tests
+export const createMockClient = (config: HttpClientConfig = {}) => {
+  const mock = new MockTransport();
+  const client = new HttpClient({ transport: mock.transport, ...config });
+  return { mock, client };
+};
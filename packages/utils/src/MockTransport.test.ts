@@ -0,0 +1,63 @@
+import { describe, expect, test } from "vitest";
+import HttpClient from "./HttpClient";
+import MockTransport from "./MockTransport";
+
+describe("MockTransport", () => {
+  test("matches routes by method and path, with params", async () => {
+    const mock = new MockTransport();
+    mock.on("GET", "/users/:id", ({ params, query }) => ({
+      body: { id: params.id, expand: query.get("expand") },
+    }));
+    const client = new HttpClient({ transport: mock.transport });
+
+    const response = await client.get("/users/7", {
+      params: { expand: "posts" },
+    });
+
+    expect(response.data).toEqual({ id: "7", expand: "posts" });
+    expect(mock.requests[0]).toMatchObject({ method: "GET", path: "/users/7" });
+  });
+
+  test("uses a once route up, then falls through to the next", async () => {
+    const mock = new MockTransport();
+    mock.once("GET", "/status", { body: "first" });
+    mock.on("GET", "/status", { body: "after" });
+    const client = new HttpClient({ transport: mock.transport });
+
+    const bodies = [
+      (await client.get("/status")).data,
+      (await client.get("/status")).data,
+    ];
+
+    expect(bodies).toEqual(["first", "after"]);
+  });
+
+  test("fails requests nothing matches", async () => {
+    const mock = new MockTransport();
+
+    await expect(mock.transport("/nowhere", {})).rejects.toThrow(
+      "MockTransport: no route or fixture for GET /nowhere"
+    );
+  });
+
+  test("records traffic to fixtures a replay instance serves offline", async () => {
+    const server = new MockTransport();
+    server.on("GET", "/items", { body: [1, 2] });
+    const recorder = new MockTransport({
+      mode: "record",
+      transport: server.transport,
+    });
+    await new HttpClient({ transport: recorder.transport }).get("/items");
+
+    const fixtures = JSON.parse(JSON.stringify(recorder.getFixtures()));
+    const replay = new MockTransport({ fixtures });
+    const response = await new HttpClient({
+      transport: replay.transport,
+    }).get("/items");
+
+    expect(fixtures).toEqual([
+      expect.objectContaining({ method: "GET", url: "/items", status: 200 }),
+    ]);
+    expect(response.data).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,315 @@
+// MockTransport.ts
+import type { Transport, TransportOptions } from "./HttpClient";
+
+export interface MockRequest {
+  method: string;
+  url: string;
+  path: string;
+  params: Record<string, string>; // from `:name` segments of the route path
+  query: URLSearchParams;
+  headers: Headers;
+  body: BodyInit | null;
+}
+
+export interface MockReply {
+  status?: number;
+  headers?: Record<string, string>;
+  body?: unknown; // anything but a string or raw body is sent as JSON
+  delay?: number;
+  error?: "network"; // reject like fetch does when the connection fails
+}
+
+export type MockHandler = (
+  request: MockRequest
+) => MockReply | Promise<MockReply>;
+
+export interface MockFixture {
+  method: string;
+  url: string;
+  status: number;
+  headers: Record<string, string>;
+  body: string;
+}
+
+export interface MockTransportConfig {
+  // replay: serve routes, then fixtures, fail on anything else
+  // record: serve routes, send the rest through `transport` and keep a fixture of each
+  mode?: "replay" | "record";
+  fixtures?: MockFixture[];
+  transport?: Transport;
+  delay?: number; // default delay for every reply, in ms
+}
+
+interface MockRoute {
+  method: string;
+  pattern: RegExp;
+  paramNames: string[];
+  handler: MockHandler;
+  times: number; // remaining uses, Infinity for a permanent route
+}
+
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+const compilePath = (
+  path: string | RegExp
+): { pattern: RegExp; paramNames: string[] } => {
+  if (path instanceof RegExp) return { pattern: path, paramNames: [] };
+
+  const paramNames: string[] = [];
+  const source = path
+    .split("/")
+    .map((segment) => {
+      if (segment === "*") return ".*";
+      if (segment.startsWith(":")) {
+        paramNames.push(segment.slice(1));
+        return "([^/]+)";
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+
+  return { pattern: new RegExp(`^${source}/?$`), paramNames };
+};
+
+const createAbortError = () =>
+  new DOMException("The operation was aborted.", "AbortError");
+
+// Resolves after ms, or rejects the way fetch does once the signal aborts
+const wait = (ms: number, signal?: AbortSignal | null): Promise<void> =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+const isRawBody = (body: unknown): body is BodyInit =>
+  typeof body === "string" ||
+  body instanceof Blob ||
+  body instanceof FormData ||
+  body instanceof URLSearchParams ||
+  body instanceof ArrayBuffer ||
+  ArrayBuffer.isView(body);
+
+/**
+ * In-memory transport for HttpClient. Routes match on method and path
+ * (`/users/:id`, `*` wildcards or a RegExp); in record mode everything
+ * else goes over the network and is kept as a JSON-serializable fixture
+ * that a replay-mode instance can serve back offline.
+ *
+ *   const mock = new MockTransport();
+ *   mock.on("GET", "/users/:id", ({ params }) => ({ body: { id: params.id } }));
+ *   const client = new HttpClient({ transport: mock.transport });
+ */
+class MockTransport {
+  private mode: "replay" | "record";
+  private routes: MockRoute[];
+  private fixtures: MockFixture[];
+  private fixtureCursors: Map<string, number>;
+  private recorded: MockFixture[];
+  private passthrough?: Transport;
+  private defaultDelay: number;
+
+  public readonly requests: MockRequest[];
+
+  constructor(config: MockTransportConfig = {}) {
+    this.mode = config.mode || "replay";
+    this.routes = [];
+    this.fixtures = config.fixtures ? [...config.fixtures] : [];
+    this.fixtureCursors = new Map();
+    this.recorded = [];
+    this.passthrough = config.transport;
+    this.defaultDelay = config.delay || 0;
+    this.requests = [];
+  }
+
+  public on(
+    method: string,
+    path: string | RegExp,
+    reply: MockReply | MockHandler,
+    times: number = Infinity
+  ): this {
+    this.routes.push({
+      method: method.toUpperCase(),
+      ...compilePath(path),
+      handler: typeof reply === "function" ? reply : () => reply,
+      times,
+    });
+    return this;
+  }
+
+  public once(
+    method: string,
+    path: string | RegExp,
+    reply: MockReply | MockHandler
+  ): this {
+    return this.on(method, path, reply, 1);
+  }
+
+  public loadFixtures(fixtures: MockFixture[]): this {
+    this.fixtures.push(...fixtures);
+    return this;
+  }
+
+  // What record mode captured, ready for JSON.stringify
+  public getFixtures(): MockFixture[] {
+    return [...this.recorded];
+  }
+
+  public reset(): void {
+    this.routes = [];
+    this.fixtureCursors.clear();
+    this.recorded = [];
+    this.requests.length = 0;
+  }
+
+  public transport: Transport = async (url, init, options) => {
+    const method = (init.method || "GET").toUpperCase();
+    const parsedUrl = new URL(url, "http://localhost");
+    const request: MockRequest = {
+      method,
+      url,
+      path: parsedUrl.pathname,
+      params: {},
+      query: parsedUrl.searchParams,
+      headers: new Headers(init.headers),
+      body: init.body ?? null,
+    };
+
+    this.requests.push(request);
+
+    const route = this.findRoute(request);
+    if (route) {
+      const reply = await route.handler(request);
+      await this.reportUpload(request.body, options);
+      return this.createResponse(reply, init.signal);
+    }
+
+    if (this.mode === "record") {
+      if (!this.passthrough) {
+        throw new Error("MockTransport: record mode needs a transport");
+      }
+      const response = await this.passthrough(url, init, options);
+      this.recorded.push(await this.toFixture(method, url, response));
+      return response;
+    }
+
+    const fixture = this.findFixture(method, url);
+    if (fixture) {
+      await this.reportUpload(request.body, options);
+      return this.createResponse(
+        {
+          status: fixture.status,
+          headers: fixture.headers,
+          body: fixture.body,
+        },
+        init.signal
+      );
+    }
+
+    throw new Error(`MockTransport: no route or fixture for ${method} ${url}`);
+  };
+
+  private findRoute(request: MockRequest): MockRoute | undefined {
+    const route = this.routes.find(
+      (candidate) =>
+        candidate.times > 0 &&
+        (candidate.method === "*" || candidate.method === request.method) &&
+        candidate.pattern.test(request.path)
+    );
+
+    if (route) {
+      route.times -= 1;
+      const match = route.pattern.exec(request.path);
+      route.paramNames.forEach((name, index) => {
+        request.params[name] = decodeURIComponent(match?.[index + 1] ?? "");
+      });
+    }
+
+    return route;
+  }
+
+  // Repeated calls walk through the recorded responses, then stick to the last
+  private findFixture(method: string, url: string): MockFixture | undefined {
+    const matches = this.fixtures.filter(
+      (fixture) => fixture.method === method && fixture.url === url
+    );
+    if (matches.length === 0) return undefined;
+
+    const key = `${method} ${url}`;
+    const cursor = this.fixtureCursors.get(key) ?? 0;
+    this.fixtureCursors.set(key, cursor + 1);
+
+    return matches[Math.min(cursor, matches.length - 1)];
+  }
+
+  private async createResponse(
+    reply: MockReply,
+    signal?: AbortSignal | null
+  ): Promise<Response> {
+    await wait(reply.delay ?? this.defaultDelay, signal);
+
+    if (reply.error === "network") {
+      throw new TypeError("Failed to fetch");
+    }
+
+    const status = reply.status ?? 200;
+    const headers = new Headers(reply.headers);
+    let body: BodyInit | null = null;
+
+    if (!NULL_BODY_STATUSES.includes(status) && reply.body !== undefined) {
+      if (isRawBody(reply.body)) {
+        body = reply.body;
+      } else {
+        body = JSON.stringify(reply.body);
+        if (!headers.has("content-type")) {
+          headers.set("content-type", "application/json");
+        }
+      }
+    }
+
+    return new Response(body, { status, headers });
+  }
+
+  private async toFixture(
+    method: string,
+    url: string,
+    response: Response
+  ): Promise<MockFixture> {
+    const headers: Record<string, string> = {};
+    response.headers.forEach((value, name) => {
+      headers[name] = value;
+    });
+
+    return {
+      method,
+      url,
+      status: response.status,
+      headers,
+      // bodies are kept as text, binary responses don't survive a round trip
+      body: await response.clone().text(),
+    };
+  }
+
+  private async reportUpload(
+    body: BodyInit | null,
+    options?: TransportOptions
+  ): Promise<void> {
+    if (!body || !options?.onUploadProgress) return;
+
+    const { size } = await new Response(body).blob();
+    options.onUploadProgress({ loaded: size, total: size });
+  }
+}
+
+export default MockTransport;
@@ -0,0 +1,155 @@
+import { afterEach, describe, expect, test, vi } from "vitest";
+import { QueuedError } from "./HttpClient";
+import { createMockClient } from "./MockClient";
+import OfflineQueue, { createMemoryStorage } from "./OfflineQueue";
+import type { OfflineQueueConfig } from "./OfflineQueue";
+
+const queues: OfflineQueue[] = [];
+
+const setup = (config: OfflineQueueConfig = {}) => {
+  const queue = new OfflineQueue({
+    storage: createMemoryStorage(),
+    retryInterval: 60000,
+    ...config,
+  });
+  queues.push(queue);
+  return { queue, ...createMockClient({ offlineQueue: queue }) };
+};
+
+const goOffline = () => vi.stubGlobal("navigator", { onLine: false });
+
+describe("OfflineQueue", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    queues.splice(0).forEach((queue) => queue.destroy());
+  });
+
+  test("queues a mutation made offline and replays it with its key", async () => {
+    const { queue, mock, client } = setup();
+    mock.on("POST", "/todos", { status: 201 });
+    goOffline();
+
+    const error = await client
+      .post("/todos", { title: "a" })
+      .catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(QueuedError);
+    expect(mock.requests).toHaveLength(0);
+    expect(queue.getState().entries).toEqual([
+      expect.objectContaining({ method: "POST", url: "/todos" }),
+    ]);
+
+    vi.unstubAllGlobals();
+    await queue.replay();
+
+    expect(mock.requests).toHaveLength(1);
+    expect(mock.requests[0]?.headers.get("idempotency-key")).toBe(
+      error.entry.idempotencyKey
+    );
+    expect(queue.getState().entries).toEqual([]);
+  });
+
+  test("queues a mutation that fails with NetworkError, GETs are never queued", async () => {
+    const { queue, mock, client } = setup();
+    mock.on("*", "/todos", { error: "network" });
+
+    await expect(client.put("/todos", { id: 1 })).rejects.toBeInstanceOf(
+      QueuedError
+    );
+    await expect(client.get("/todos")).rejects.toMatchObject({
+      name: "NetworkError",
+    });
+    expect(queue.getState().entries).toHaveLength(1);
+  });
+
+  test("replays in order and hands conflicts to onConflict", async () => {
+    const onConflict = vi.fn(() => "drop" as const);
+    const { queue, mock, client } = setup({ onConflict });
+    mock.on("POST", "/todos", ({ body }) =>
+      JSON.parse(String(body)).title === "b" ? { status: 409 } : { status: 201 }
+    );
+    mock.on("DELETE", "/todos/1", { status: 404 });
+    goOffline();
+
+    for (const request of [
+      () => client.post("/todos", { title: "a" }),
+      () => client.post("/todos", { title: "b" }),
+      () => client.delete("/todos/1"),
+    ]) {
+      await request().catch(() => {});
+    }
+    vi.unstubAllGlobals();
+    await queue.replay();
+
+    expect(mock.requests.map((request) => request.body)).toEqual([
+      '{"title":"a"}',
+      '{"title":"b"}',
+      null,
+    ]);
+    expect(onConflict).toHaveBeenCalledTimes(1);
+    expect(queue.getState().entries).toEqual([
+      expect.objectContaining({ method: "DELETE", status: "failed" }),
+    ]);
+  });
+
+  test("retries a conflict on the next try, up to maxAttempts", async () => {
+    const onConflict = vi.fn(() => "retry" as const);
+    const { queue, mock, client } = setup({
+      onConflict,
+      maxAttempts: 2,
+      retryInterval: 20,
+    });
+    mock.on("POST", "/todos", { status: 409 });
+    goOffline();
+    await client.post("/todos", { title: "a" }).catch(() => {});
+    vi.unstubAllGlobals();
+
+    await queue.replay();
+    expect(mock.requests).toHaveLength(1);
+    expect(queue.getState().entries).toEqual([
+      expect.objectContaining({ status: "pending", attempts: 1 }),
+    ]);
+
+    await vi.waitFor(() =>
+      expect(queue.getState().entries).toEqual([
+        expect.objectContaining({ status: "failed", attempts: 2 }),
+      ])
+    );
+    expect(mock.requests).toHaveLength(2);
+    expect(onConflict).toHaveBeenCalledTimes(2);
+  });
+
+  test("queues a mutation made back online behind the waiting ones", async () => {
+    const { queue, mock, client } = setup();
+    mock.on("POST", "/todos", { status: 201 });
+    goOffline();
+    await client.post("/todos", { title: "a" }).catch(() => {});
+    vi.unstubAllGlobals();
+
+    await expect(client.post("/todos", { title: "b" })).rejects.toBeInstanceOf(
+      QueuedError
+    );
+    await queue.replay();
+
+    expect(mock.requests.map((request) => request.body)).toEqual([
+      '{"title":"a"}',
+      '{"title":"b"}',
+    ]);
+    expect(queue.getState().entries).toEqual([]);
+  });
+
+  test("restores entries from storage", async () => {
+    const storage = createMemoryStorage();
+    const { client } = setup({ storage });
+    goOffline();
+    await client.post("/todos", { title: "a" }).catch(() => {});
+
+    const restored = new OfflineQueue({ storage, retryInterval: 60000 });
+    queues.push(restored);
+    await vi.waitFor(() =>
+      expect(restored.getState().entries).toEqual([
+        expect.objectContaining({ url: "/todos", status: "pending" }),
+      ])
+    );
+  });
+});
@@ -0,0 +1,388 @@
+// OfflineQueue.ts
+import { HttpError } from "./HttpClient";
+import type { QueryParams } from "./HttpClient";
+
+export type QueueEntryStatus = "pending" | "replaying" | "failed";
+
+// Everything needed to send the request again, kept JSON-serializable
+export interface QueueEntry {
+  id: string;
+  sequence: number; // replay order
+  method: string;
+  url: string;
+  params?: QueryParams;
+  headers: Record<string, string>; // Idempotency-Key included
+  body: string | null;
+  idempotencyKey: string;
+  createdAt: number;
+  attempts: number; // replays so far
+  status: QueueEntryStatus;
+  error: string | null; // message of the last failed replay
+}
+
+export type NewQueueEntry = Pick<
+  QueueEntry,
+  "method" | "url" | "params" | "headers" | "body" | "idempotencyKey"
+>;
+
+export interface OfflineQueueState {
+  online: boolean;
+  replaying: boolean;
+  entries: QueueEntry[];
+}
+
+export type OfflineQueueListener = (state: OfflineQueueState) => void;
+
+// "retry" replays the entry on the next try, anything else drops it
+export type ConflictResolution = "retry" | "drop" | void;
+
+export interface QueueStorage {
+  load(): Promise<QueueEntry[]>;
+  save(entry: QueueEntry): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+export interface OfflineQueueConfig {
+  storage?: QueueStorage; // defaults to IndexedDB, or memory where that's unavailable
+  databaseName?: string; // IndexedDB database, defaults to "http-offline-queue"
+  retryInterval?: number; // ms between replays while online but unreachable, defaults to 30000
+  maxAttempts?: number; // replays of an entry onConflict keeps retrying before it is marked failed, defaults to 5
+  isConflict?: (error: unknown) => boolean; // defaults to a 409 or 412
+  onConflict?: (
+    entry: QueueEntry,
+    error: unknown
+  ) => ConflictResolution | Promise<ConflictResolution>;
+}
+
+// Sends one entry through the owning HttpClient, see attach
+export type QueueSender = (entry: QueueEntry) => Promise<unknown>;
+
+const STORE_NAME = "requests";
+
+const isConflictError = (error: unknown): boolean =>
+  error instanceof HttpError && [409, 412].includes(error.status);
+
+// The server looked at the request and said no, replaying it won't help
+const isRejection = (error: unknown): boolean =>
+  error instanceof HttpError &&
+  error.status >= 400 &&
+  error.status < 500 &&
+  error.status !== 408 &&
+  error.status !== 429;
+
+const promisify = <T>(request: IDBRequest<T>): Promise<T> =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const createMemoryStorage = (): QueueStorage => {
+  const entries = new Map<string, QueueEntry>();
+
+  return {
+    load: async () => [...entries.values()].map((entry) => ({ ...entry })),
+    save: async (entry) => {
+      entries.set(entry.id, { ...entry });
+    },
+    delete: async (id) => {
+      entries.delete(id);
+    },
+  };
+};
+
+export const createIndexedDBStorage = (
+  databaseName: string = "http-offline-queue"
+): QueueStorage => {
+  let database: Promise<IDBDatabase> | null = null;
+
+  const open = (): Promise<IDBDatabase> => {
+    if (!database) {
+      const request = indexedDB.open(databaseName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+      };
+      database = promisify(request);
+    }
+    return database;
+  };
+
+  const store = async (mode: IDBTransactionMode): Promise<IDBObjectStore> =>
+    (await open()).transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+
+  return {
+    load: async () => promisify((await store("readonly")).getAll()),
+    save: async (entry) => {
+      await promisify((await store("readwrite")).put(entry));
+    },
+    delete: async (id) => {
+      await promisify((await store("readwrite")).delete(id));
+    },
+  };
+};
+
+// IndexedDB when it opens (private modes and old browsers may refuse), memory otherwise
+const createDefaultStorage = (databaseName?: string): QueueStorage => {
+  const memory = createMemoryStorage();
+  if (typeof indexedDB === "undefined") return memory;
+
+  const indexed = createIndexedDBStorage(databaseName);
+  let active: Promise<QueueStorage> | null = null;
+  const resolveStorage = () => {
+    if (!active) {
+      active = indexed.load().then(
+        () => indexed,
+        () => memory
+      );
+    }
+    return active;
+  };
+
+  return {
+    load: async () => (await resolveStorage()).load(),
+    save: async (entry) => (await resolveStorage()).save(entry),
+    delete: async (id) => (await resolveStorage()).delete(id),
+  };
+};
+
+/**
+ * Durable queue for mutations that couldn't be sent. HttpClient adds
+ * non-GET requests made offline, or that failed with NetworkError, and
+ * the queue replays them in order once the browser is back online.
+ * Every entry carries an Idempotency-Key that was on the original
+ * request too, so the server can drop a replay it has already applied.
+ *
+ *   const queue = new OfflineQueue({ onConflict: (entry) => notify(entry) });
+ *   queue.subscribe(({ entries }) => setUnsynced(entries.length));
+ *   const client = new HttpClient({ offlineQueue: queue });
+ */
+class OfflineQueue {
+  private storage: QueueStorage;
+  private retryInterval: number;
+  private maxAttempts: number;
+  private retryTimer: ReturnType<typeof setTimeout> | null;
+  private isConflict: (error: unknown) => boolean;
+  private onConflict?: OfflineQueueConfig["onConflict"];
+  private entries: QueueEntry[];
+  private listeners: Set<OfflineQueueListener>;
+  private sender: QueueSender | null;
+  private replaying: Promise<void> | null;
+  private sequence: number;
+  private ready: Promise<void>;
+
+  constructor(config: OfflineQueueConfig = {}) {
+    this.storage = config.storage || createDefaultStorage(config.databaseName);
+    this.retryInterval = config.retryInterval ?? 30000;
+    this.maxAttempts = config.maxAttempts ?? 5;
+    this.retryTimer = null;
+    this.isConflict = config.isConflict || isConflictError;
+    this.onConflict = config.onConflict;
+    this.entries = [];
+    this.listeners = new Set();
+    this.sender = null;
+    this.replaying = null;
+    this.sequence = 0;
+    this.ready = this.restore();
+
+    if (typeof window !== "undefined") {
+      window.addEventListener("online", this.handleOnline);
+    }
+  }
+
+  public isOnline(): boolean {
+    return typeof navigator === "undefined" || navigator.onLine !== false;
+  }
+
+  public getState(): OfflineQueueState {
+    return {
+      online: this.isOnline(),
+      replaying: this.replaying !== null,
+      entries: this.entries.map((entry) => ({ ...entry })),
+    };
+  }
+
+  // Entries still to be sent; failed ones are out of line until retry(id)
+  public async hasPending(): Promise<boolean> {
+    await this.ready;
+    return this.entries.some((entry) => entry.status !== "failed");
+  }
+
+  public subscribe(listener: OfflineQueueListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  // Called by HttpClient; one client replays a queue
+  public attach(sender: QueueSender): void {
+    this.sender = sender;
+    this.ready.then(() => this.replay());
+  }
+
+  public async enqueue(request: NewQueueEntry): Promise<QueueEntry> {
+    await this.ready;
+
+    this.sequence += 1;
+    const entry: QueueEntry = {
+      ...request,
+      id: `${Date.now().toString(36)}-${this.sequence}`,
+      sequence: this.sequence,
+      createdAt: Date.now(),
+      attempts: 0,
+      status: "pending",
+      error: null,
+    };
+
+    this.entries.push(entry);
+    await this.storage.save(entry);
+    this.emit();
+    // online but unreachable, no "online" event is coming
+    if (this.isOnline()) this.scheduleRetry();
+
+    return { ...entry };
+  }
+
+  public async remove(id: string): Promise<void> {
+    await this.ready;
+    this.entries = this.entries.filter((entry) => entry.id !== id);
+    await this.storage.delete(id);
+    this.emit();
+  }
+
+  // Puts a failed entry back in line
+  public async retry(id: string): Promise<void> {
+    await this.ready;
+    const entry = this.entries.find((candidate) => candidate.id === id);
+    if (!entry || entry.status !== "failed") return;
+
+    await this.update(entry, { status: "pending", error: null });
+    this.replay();
+  }
+
+  public async clear(): Promise<void> {
+    await this.ready;
+    const ids = this.entries.map((entry) => entry.id);
+    this.entries = [];
+    await Promise.all(ids.map((id) => this.storage.delete(id)));
+    this.emit();
+  }
+
+  /**
+   * Sends pending entries one at a time, oldest first. A network failure
+   * or 5xx stops the run and leaves the entry for the next one; a conflict
+   * goes to onConflict, whose "retry" does the same up to maxAttempts; any
+   * other 4xx marks the entry failed and moves on.
+   */
+  public replay(): Promise<void> {
+    if (!this.isOnline()) return Promise.resolve();
+
+    if (!this.replaying) {
+      this.replaying = this.ready
+        .then(() => this.drain())
+        .finally(() => {
+          this.replaying = null;
+          this.emit();
+        });
+      this.emit();
+    }
+    return this.replaying;
+  }
+
+  public destroy(): void {
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    if (typeof window !== "undefined") {
+      window.removeEventListener("online", this.handleOnline);
+    }
+    this.listeners.clear();
+    this.sender = null;
+  }
+
+  private scheduleRetry(): void {
+    if (this.retryTimer || !this.isOnline()) return;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.replay();
+    }, this.retryInterval);
+  }
+
+  private handleOnline = () => {
+    this.emit();
+    this.replay();
+  };
+
+  private async restore(): Promise<void> {
+    const stored = await this.storage.load();
+
+    this.entries = stored
+      // a replay cut short by a reload didn't finish
+      .map((entry) =>
+        entry.status === "replaying"
+          ? { ...entry, status: "pending" as const }
+          : entry
+      )
+      .sort((a, b) => a.sequence - b.sequence);
+    this.sequence = this.entries.reduce(
+      (max, entry) => Math.max(max, entry.sequence),
+      0
+    );
+    this.emit();
+  }
+
+  private async drain(): Promise<void> {
+    while (this.sender && this.isOnline()) {
+      const entry = this.entries.find(
+        (candidate) => candidate.status === "pending"
+      );
+      if (!entry) return;
+
+      await this.update(entry, {
+        status: "replaying",
+        attempts: entry.attempts + 1,
+      });
+
+      try {
+        await this.sender(entry);
+        await this.remove(entry.id);
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+
+        if (this.isConflict(error)) {
+          const resolution = await this.onConflict?.({ ...entry }, error);
+          if (resolution === "retry" && entry.attempts >= this.maxAttempts) {
+            await this.update(entry, { status: "failed", error: message });
+          } else if (resolution === "retry") {
+            // sent again right away it would most likely conflict again
+            await this.update(entry, { status: "pending", error: message });
+            this.scheduleRetry();
+            return;
+          } else {
+            await this.remove(entry.id);
+          }
+        } else if (isRejection(error)) {
+          await this.update(entry, { status: "failed", error: message });
+        } else {
+          await this.update(entry, { status: "pending", error: message });
+          this.scheduleRetry();
+          return;
+        }
+      }
+    }
+  }
+
+  private async update(
+    entry: QueueEntry,
+    changes: Partial<QueueEntry>
+  ): Promise<void> {
+    Object.assign(entry, changes);
+    await this.storage.save(entry);
+    this.emit();
+  }
+
+  private emit(): void {
+    const state = this.getState();
+    this.listeners.forEach((listener) => listener(state));
+  }
+}
+
+export default OfflineQueue;
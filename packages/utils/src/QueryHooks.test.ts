@@ -0,0 +1,99 @@
+// @vitest-environment jsdom
+import { act, renderHook, waitFor } from "@testing-library/react";
+import { describe, expect, test } from "vitest";
+import { createMockClient } from "./MockClient";
+import { STATUS, createQueryHooks } from "./QueryHooks";
+
+interface Todo {
+  id: number;
+  title: string;
+}
+
+const setup = () => {
+  const { mock, client } = createMockClient();
+  return { mock, client, ...createQueryHooks(client) };
+};
+
+describe("useQuery", () => {
+  test("loads a URL and shares it between readers of the key", async () => {
+    const { mock, useQuery } = setup();
+    mock.on("GET", "/todos", { body: [{ id: 1, title: "a" }], delay: 5 });
+
+    const { result } = renderHook(() => {
+      const first = useQuery<Todo[]>("todos", "/todos");
+      const second = useQuery<Todo[]>("todos", "/todos");
+      return { first, second };
+    });
+
+    expect(result.current.first.status).toBe(STATUS.LOADING);
+    await waitFor(() =>
+      expect(result.current.first.status).toBe(STATUS.SUCCESS)
+    );
+    expect(result.current.second.data).toEqual([{ id: 1, title: "a" }]);
+    expect(mock.requests).toHaveLength(1);
+  });
+
+  test("aborts the old key's fetch when the key changes", async () => {
+    const { mock, client, useQuery } = setup();
+    mock.on("GET", "/search", ({ query }) => ({
+      body: query.get("q"),
+      delay: query.get("q") === "a" ? 50 : 0,
+    }));
+    const signals: AbortSignal[] = [];
+
+    const { result, rerender } = renderHook(
+      ({ term }) =>
+        useQuery(["search", term], ({ signal }) => {
+          signals.push(signal);
+          return client
+            .get<string>("/search", { params: { q: term }, signal })
+            .then((response) => response.data);
+        }),
+      { initialProps: { term: "a" } }
+    );
+    rerender({ term: "ab" });
+
+    await waitFor(() => expect(result.current.data).toBe("ab"));
+    expect(signals[0]?.aborted).toBe(true);
+  });
+
+  test("reports errors", async () => {
+    const { mock, useQuery } = setup();
+    mock.on("GET", "/todos", { status: 500 });
+
+    const { result } = renderHook(() => useQuery("todos", "/todos"));
+
+    await waitFor(() => expect(result.current.isError).toBe(true));
+    expect(result.current.error).toMatchObject({ status: 500 });
+  });
+});
+
+describe("useMutation", () => {
+  test("applies an optimistic update and rolls it back on failure", async () => {
+    const { mock, client, useQuery, useMutation } = setup();
+    mock.on("GET", "/todos", { body: [{ id: 1, title: "a" }] });
+    mock.on("POST", "/todos", { status: 500, delay: 5 });
+
+    const { result } = renderHook(() => ({
+      todos: useQuery<Todo[]>("todos", "/todos"),
+      add: useMutation(
+        (title: string) => client.post<Todo>("/todos", { title }),
+        {
+          optimistic: [
+            {
+              key: "todos",
+              update: (todos: Todo[], title) => [...todos, { id: 0, title }],
+            },
+          ],
+        }
+      ),
+    }));
+    await waitFor(() => expect(result.current.todos.isSuccess).toBe(true));
+
+    act(() => result.current.add.mutate("b"));
+    expect(result.current.todos.data).toHaveLength(2);
+
+    await waitFor(() => expect(result.current.add.isError).toBe(true));
+    expect(result.current.todos.data).toEqual([{ id: 1, title: "a" }]);
+  });
+});
@@ -0,0 +1,457 @@
+// QueryHooks.ts
+import {
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import type HttpClient from "./HttpClient";
+import type { RequestOptions } from "./HttpClient";
+
+// Same strings the apps already use for apiStatus
+export const STATUS = {
+  IDLE: "idle",
+  LOADING: "loading",
+  SUCCESS: "success",
+  ERROR: "error",
+} as const;
+
+export type Status = (typeof STATUS)[keyof typeof STATUS];
+
+export type QueryKey = string | readonly unknown[];
+
+export interface QueryState<T = unknown> {
+  status: Status;
+  data: T | undefined;
+  error: unknown;
+  fetching: boolean; // a request is in flight, also while refetching loaded data
+  updatedAt: number; // 0 until the first success
+}
+
+export interface QueryContext {
+  signal: AbortSignal;
+  client: HttpClient;
+}
+
+// A URL is fetched with client.get, a function does its own request
+export type QueryFn<T> = string | ((context: QueryContext) => Promise<T>);
+
+export interface QueryOptions<T> {
+  enabled?: boolean; // false behaves like a null key
+  staleTime?: number; // ms data counts as fresh, defaults to 0
+  refetchOnFocus?: boolean; // defaults to true
+  request?: Omit<RequestOptions<T>, "method" | "body" | "signal">; // for a URL query
+}
+
+export interface OptimisticUpdate<V> {
+  key: QueryKey | ((variables: V) => QueryKey);
+  update: (current: any, variables: V) => any;
+}
+
+export interface MutationOptions<D, V> {
+  optimistic?: OptimisticUpdate<V>[]; // applied before the request, rolled back if it fails
+  invalidates?: Array<QueryKey | ((variables: V) => QueryKey)>; // refetched after a success
+  onSuccess?: (data: D, variables: V) => void;
+  onError?: (error: unknown, variables: V) => void;
+}
+
+export interface MutationState<D> {
+  status: Status;
+  data: D | undefined;
+  error: unknown;
+}
+
+const IDLE_STATE: QueryState<any> = {
+  status: STATUS.IDLE,
+  data: undefined,
+  error: null,
+  fetching: false,
+  updatedAt: 0,
+};
+
+const noop = () => {};
+
+export const hashKey = (key: QueryKey): string =>
+  typeof key === "string" ? key : JSON.stringify(key);
+
+const isAbort = (error: unknown): boolean =>
+  (error as { name?: string } | null)?.name === "AbortError";
+
+interface InflightQuery {
+  promise: Promise<unknown>;
+  controller: AbortController;
+  previousStatus: Status; // restored when the fetch is cancelled
+}
+
+/**
+ * Query results by key, shared by every component that reads the key. A
+ * fetch runs once per key at a time and is aborted when its last reader
+ * unmounts or moves to another key.
+ */
+export class QueryStore {
+  private states: Map<string, QueryState>;
+  private listeners: Map<string, Set<() => void>>;
+  private inflight: Map<string, InflightQuery>;
+  private fetchers: Map<string, (signal: AbortSignal) => Promise<unknown>>;
+
+  constructor() {
+    this.states = new Map();
+    this.listeners = new Map();
+    this.inflight = new Map();
+    this.fetchers = new Map();
+  }
+
+  // The same object until the state changes, as useSyncExternalStore needs
+  public getState<T>(key: QueryKey): QueryState<T> {
+    return (this.states.get(hashKey(key)) as QueryState<T>) || IDLE_STATE;
+  }
+
+  public subscribe(key: QueryKey, listener: () => void): () => void {
+    const hash = hashKey(key);
+    const listeners = this.listeners.get(hash) || new Set();
+    listeners.add(listener);
+    this.listeners.set(hash, listeners);
+
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size > 0) return;
+
+      this.listeners.delete(hash);
+      this.cancel(hash);
+    };
+  }
+
+  public isStale(key: QueryKey, staleTime: number = 0): boolean {
+    const { updatedAt } = this.getState(key);
+    return updatedAt === 0 || Date.now() - updatedAt >= staleTime;
+  }
+
+  public fetch<T>(
+    key: QueryKey,
+    fetcher: (signal: AbortSignal) => Promise<T>
+  ): Promise<T> {
+    const hash = hashKey(key);
+    this.fetchers.set(hash, fetcher);
+
+    const existing = this.inflight.get(hash);
+    if (existing) return existing.promise as Promise<T>;
+
+    const controller = new AbortController();
+    const previous = this.getState<T>(hash);
+    this.setState(hash, {
+      ...previous,
+      status: previous.updatedAt ? previous.status : STATUS.LOADING,
+      fetching: true,
+    });
+
+    const promise = fetcher(controller.signal).then(
+      (data) => {
+        this.settle(hash, controller, {
+          status: STATUS.SUCCESS,
+          data,
+          error: null,
+          fetching: false,
+          updatedAt: Date.now(),
+        });
+        return data;
+      },
+      (error) => {
+        if (!isAbort(error)) {
+          this.settle(hash, controller, {
+            ...this.getState(hash),
+            status: STATUS.ERROR,
+            error,
+            fetching: false,
+          });
+        } else if (this.inflight.get(hash)?.controller === controller) {
+          // aborted from outside, e.g. client.cancelAllRequests()
+          this.cancel(hash);
+        }
+        throw error;
+      }
+    );
+
+    this.inflight.set(hash, {
+      promise,
+      controller,
+      previousStatus: previous.status,
+    });
+    return promise;
+  }
+
+  // Aborts the fetch in flight and leaves the last settled state, or whatever setData wrote since
+  public cancel(key: QueryKey): void {
+    const hash = hashKey(key);
+    const inflight = this.inflight.get(hash);
+    if (!inflight) return;
+
+    this.inflight.delete(hash);
+    inflight.controller.abort();
+
+    const current = this.getState(hash);
+    this.setState(hash, {
+      ...current,
+      status:
+        current.status === STATUS.LOADING
+          ? inflight.previousStatus
+          : current.status,
+      fetching: false,
+    });
+  }
+
+  public setData<T>(
+    key: QueryKey,
+    updater: T | ((current: T | undefined) => T)
+  ): void {
+    const hash = hashKey(key);
+    const current = this.getState<T>(hash);
+    const data =
+      typeof updater === "function"
+        ? (updater as (current: T | undefined) => T)(current.data)
+        : updater;
+
+    this.setState(hash, {
+      ...current,
+      status: STATUS.SUCCESS,
+      data,
+      error: null,
+      updatedAt: current.updatedAt || Date.now(),
+    });
+  }
+
+  // Refetches a key somebody reads, otherwise marks it stale for the next reader
+  public invalidate(key: QueryKey): Promise<unknown> {
+    const hash = hashKey(key);
+    const fetcher = this.fetchers.get(hash);
+    const state = this.states.get(hash);
+
+    if (state) this.setState(hash, { ...state, updatedAt: 0 });
+    if (!fetcher || !this.listeners.has(hash)) return Promise.resolve();
+
+    this.cancel(hash);
+    return this.fetch(hash, fetcher).catch(noop);
+  }
+
+  private settle(
+    hash: string,
+    controller: AbortController,
+    state: QueryState
+  ): void {
+    // cancelled, possibly replaced by a newer fetch already
+    if (this.inflight.get(hash)?.controller !== controller) return;
+
+    this.inflight.delete(hash);
+    this.setState(hash, state);
+  }
+
+  private setState(hash: string, state: QueryState): void {
+    this.states.set(hash, state);
+    this.listeners.get(hash)?.forEach((listener) => listener());
+  }
+}
+
+/**
+ * Binds useQuery and useMutation to one HttpClient and one QueryStore,
+ * replacing the apiStatus / apiError / apiData / AbortController state
+ * each component used to keep by hand.
+ *
+ *   export const { useQuery, useMutation } = createQueryHooks(client);
+ *
+ *   const { status, data, error } = useQuery(["users", term], ({ signal }) =>
+ *     client.get("/users", { params: { q: term }, signal }).then((r) => r.data)
+ *   );
+ */
+export const createQueryHooks = (
+  client: HttpClient,
+  store: QueryStore = new QueryStore()
+) => {
+  const runQuery = <T>(query: QueryFn<T>, options: QueryOptions<T>) => {
+    return async (signal: AbortSignal): Promise<T> => {
+      if (typeof query !== "string") return query({ signal, client });
+
+      const { data } = await client.get<T>(query, {
+        ...options.request,
+        signal,
+      });
+      return data as T;
+    };
+  };
+
+  /**
+   * Fetches when the key changes or the data goes stale, shares the
+   * request with every other reader of the key, and aborts it when the
+   * last reader unmounts or switches keys. A null key does nothing.
+   */
+  const useQuery = <T = unknown>(
+    key: QueryKey | null,
+    query: QueryFn<T>,
+    options: QueryOptions<T> = {}
+  ) => {
+    const { enabled = true, staleTime = 0, refetchOnFocus = true } = options;
+    const hash = key === null || !enabled ? null : hashKey(key);
+
+    // the latest query and options, without refetching when they're recreated
+    const queryRef = useRef(query);
+    const optionsRef = useRef(options);
+    queryRef.current = query;
+    optionsRef.current = options;
+
+    const subscribe = useCallback(
+      (listener: () => void) =>
+        hash === null ? noop : store.subscribe(hash, listener),
+      [hash]
+    );
+    const getSnapshot = () =>
+      hash === null ? (IDLE_STATE as QueryState<T>) : store.getState<T>(hash);
+    const state = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+
+    const refetch = useCallback((): Promise<T | undefined> => {
+      if (hash === null) return Promise.resolve(undefined);
+      return store.fetch(hash, runQuery(queryRef.current, optionsRef.current));
+    }, [hash]);
+
+    useEffect(() => {
+      if (hash !== null && store.isStale(hash, staleTime)) {
+        refetch().catch(noop);
+      }
+    }, [hash, staleTime, refetch]);
+
+    useEffect(() => {
+      if (hash === null || !refetchOnFocus || typeof window === "undefined") {
+        return undefined;
+      }
+
+      const onFocus = () => {
+        if (document.visibilityState === "hidden") return;
+        if (store.isStale(hash, staleTime)) refetch().catch(noop);
+      };
+
+      window.addEventListener("focus", onFocus);
+      document.addEventListener("visibilitychange", onFocus);
+      return () => {
+        window.removeEventListener("focus", onFocus);
+        document.removeEventListener("visibilitychange", onFocus);
+      };
+    }, [hash, staleTime, refetchOnFocus, refetch]);
+
+    return {
+      ...state,
+      isIdle: state.status === STATUS.IDLE,
+      isLoading: state.status === STATUS.LOADING,
+      isSuccess: state.status === STATUS.SUCCESS,
+      isError: state.status === STATUS.ERROR,
+      refetch,
+    };
+  };
+
+  /**
+   * Runs a write on demand. `optimistic` updates are written into the
+   * store before the request and rolled back if it fails; `invalidates`
+   * refetches the affected queries after it succeeds. Only the latest
+   * call's outcome lands in the hook state. `mutate` never rejects,
+   * `mutateAsync` does.
+   */
+  const useMutation = <D = unknown, V = void>(
+    mutation: (variables: V, client: HttpClient) => Promise<D>,
+    options: MutationOptions<D, V> = {}
+  ) => {
+    const [state, setState] = useState<MutationState<D>>({
+      status: STATUS.IDLE,
+      data: undefined,
+      error: null,
+    });
+
+    const mutationRef = useRef(mutation);
+    const optionsRef = useRef(options);
+    mutationRef.current = mutation;
+    optionsRef.current = options;
+
+    const mountedRef = useRef(true);
+    const latestCallRef = useRef(0);
+    useEffect(() => {
+      mountedRef.current = true;
+      return () => {
+        mountedRef.current = false;
+      };
+    }, []);
+
+    const mutateAsync = useCallback(async (variables: V): Promise<D> => {
+      const {
+        optimistic = [],
+        invalidates = [],
+        onSuccess,
+        onError,
+      } = optionsRef.current;
+      const call = ++latestCallRef.current;
+      const update = (next: MutationState<D>) => {
+        if (mountedRef.current && call === latestCallRef.current) {
+          setState(next);
+        }
+      };
+
+      const rollbacks = optimistic.map(({ key, update: apply }) => {
+        const target = typeof key === "function" ? key(variables) : key;
+        const previous = store.getState(target);
+
+        // an older response landing now would overwrite the optimistic data
+        store.cancel(target);
+        store.setData(target, (current: unknown) => apply(current, variables));
+
+        return () => {
+          if (previous.updatedAt === 0) {
+            store.invalidate(target);
+          } else {
+            store.setData(target, previous.data);
+          }
+        };
+      });
+
+      update({ status: STATUS.LOADING, data: undefined, error: null });
+
+      try {
+        const data = await mutationRef.current(variables, client);
+        update({ status: STATUS.SUCCESS, data, error: null });
+
+        invalidates.forEach((key) => {
+          store.invalidate(typeof key === "function" ? key(variables) : key);
+        });
+        onSuccess?.(data, variables);
+
+        return data;
+      } catch (error) {
+        rollbacks.forEach((rollback) => rollback());
+        update({ status: STATUS.ERROR, data: undefined, error });
+        onError?.(error, variables);
+
+        throw error;
+      }
+    }, []);
+
+    // For event handlers: the outcome is in the hook state, nothing to catch
+    const mutate = useCallback(
+      (variables: V): void => {
+        mutateAsync(variables).catch(noop);
+      },
+      [mutateAsync]
+    );
+
+    const reset = useCallback(() => {
+      latestCallRef.current += 1;
+      setState({ status: STATUS.IDLE, data: undefined, error: null });
+    }, []);
+
+    return {
+      ...state,
+      isIdle: state.status === STATUS.IDLE,
+      isLoading: state.status === STATUS.LOADING,
+      isSuccess: state.status === STATUS.SUCCESS,
+      isError: state.status === STATUS.ERROR,
+      mutate,
+      mutateAsync,
+      reset,
+    };
+  };
+
+  return { useQuery, useMutation, queryStore: store };
+};